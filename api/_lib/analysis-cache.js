@@ -0,0 +1,144 @@
+import { createHash } from "node:crypto";
+import { readCache, writeCache, deleteCache } from "./job-store.js";
+import { llmUploadFile, llmGetFile, llmListFiles, llmDeleteFile } from "./llm-providers.js";
+
+// --------------------
+// Analysis cache (used by /api/analyze-selected-pdf)
+// --------------------
+// Uploaded files: keyed by the SHA-256 of the PDF bytes and the account they were uploaded to (provider,
+//   base URL, API key). An unchanged PDF is uploaded once; later runs reuse its file id until shortly
+//   before the retention period ends.
+// Model results: the raw catalog keyed by provider, model, prompt and the content of every document, so
+//   an identical re-run skips the model call. Only a catalog that passed validation is stored, so a
+//   rejected answer is asked for again. body.force skips the lookup (the fresh result is stored).
+// Cleanup: after an upload, files this app uploaded ("miro-…") that are older than the retention period
+//   are deleted from the account; at most once an hour per account.
+//
+// Env: LLM_FILE_RETENTION_HOURS (default 72, at least 1), LLM_RESULT_CACHE_HOURS (default 168; 0 turns
+// the result cache off). Entries live in the job store; a failing store only costs the cache hit.
+
+const DEFAULT_FILE_RETENTION_HOURS = 72;
+const DEFAULT_RESULT_CACHE_HOURS = 168;
+
+// A reused file has to outlive the analysis that uses it (the panel polls a job for up to 30 minutes).
+const FILE_REUSE_MARGIN_SECONDS = 60 * 60;
+const CLEANUP_INTERVAL_SECONDS = 60 * 60;
+const CLEANUP_MAX_DELETES = 50;
+const UPLOAD_NAME_PREFIX = "miro-";
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+// Bytes for PDFs and images, extracted pages for the text formats.
+function inputContentHash(input) {
+  if (input.bytes) return sha256(input.bytes);
+  return sha256(JSON.stringify(input.pages || []));
+}
+
+// --------------------
+// Uploaded files
+// --------------------
+
+// Returns { id, reused }.
+async function uploadFileOnce(provider, apiKey, filename, bytes, mimeType) {
+  const account = accountHash(provider, apiKey);
+  const key = `file:${account}:${sha256(bytes)}`;
+
+  const cached = await readCache(key).catch(() => null);
+  if (cached && cached.fileId) {
+    // Deleted by hand or by another deployment's cleanup → upload again.
+    const file = await llmGetFile(provider, apiKey, cached.fileId).catch(() => null);
+    if (file) return { id: cached.fileId, reused: true };
+    await deleteCache(key).catch(() => {});
+  }
+
+  const meta = await llmUploadFile(provider, apiKey, filename, bytes, mimeType);
+  const ttl = fileRetentionSeconds() - FILE_REUSE_MARGIN_SECONDS;
+  if (ttl > 0) {
+    await writeCache(key, { fileId: meta.id, uploadedAt: new Date().toISOString() }, ttl).catch(() => {});
+  }
+
+  await cleanupUploadedFiles(provider, apiKey).catch(() => {
+    // next upload tries again
+  });
+  return { id: meta.id, reused: false };
+}
+
+// Deletes this app's uploads older than the retention period; returns the deleted file ids.
+async function cleanupUploadedFiles(provider, apiKey) {
+  const due = await writeCache(`cleanup:${accountHash(provider, apiKey)}`, { at: new Date().toISOString() }, CLEANUP_INTERVAL_SECONDS, true);
+  if (!due) return [];
+
+  const cutoff = (Date.now() / 1000) - fileRetentionSeconds();
+  const expired = (await llmListFiles(provider, apiKey))
+    .filter((f) => f && typeof f.filename === "string" && f.filename.startsWith(UPLOAD_NAME_PREFIX))
+    .filter((f) => typeof f.created_at === "number" && f.created_at < cutoff)
+    .slice(0, CLEANUP_MAX_DELETES);
+
+  for (const file of expired) {
+    await llmDeleteFile(provider, apiKey, file.id);
+  }
+  return expired.map((f) => f.id);
+}
+
+// --------------------
+// Model results
+// --------------------
+
+// documents: [{ id, title, format, sha256 }] as sent to the model (labels and titles are part of the request).
+// parts: how long documents were split (null for a single call).
+function resultCacheKey(providerId, model, prompt, documents, parts) {
+  const request = {
+    provider: providerId,
+    model,
+    prompt: sha256(prompt),
+    documents: documents.map((d) => [d.id, d.title, d.format, d.sha256]),
+    parts: parts || null
+  };
+  return `result:${sha256(JSON.stringify(request))}`;
+}
+
+async function readCachedResult(key) {
+  if (!resultCacheSeconds()) return null;
+  const entry = await readCache(key).catch(() => null);
+  return entry && entry.rawCatalog ? entry.rawCatalog : null;
+}
+
+async function writeCachedResult(key, rawCatalog) {
+  const ttl = resultCacheSeconds();
+  if (!ttl) return;
+  await writeCache(key, { rawCatalog, createdAt: new Date().toISOString() }, ttl).catch(() => {});
+}
+
+// --------------------
+// Helpers
+// --------------------
+
+// Files belong to an account; the key itself is not stored.
+function accountHash(provider, apiKey) {
+  return sha256(`${provider.id}\n${provider.baseUrl}\n${apiKey || ""}`).slice(0, 32);
+}
+
+function fileRetentionSeconds() {
+  return Math.max(1, envHours("LLM_FILE_RETENTION_HOURS", DEFAULT_FILE_RETENTION_HOURS)) * 3600;
+}
+
+function resultCacheSeconds() {
+  return envHours("LLM_RESULT_CACHE_HOURS", DEFAULT_RESULT_CACHE_HOURS) * 3600;
+}
+
+function envHours(name, fallback) {
+  const raw = (process.env[name] || "").trim();
+  const hours = raw ? Number(raw) : fallback;
+  return Number.isFinite(hours) && hours >= 0 ? Math.floor(hours) : fallback;
+}
+
+export {
+  inputContentHash,
+  uploadFileOnce,
+  cleanupUploadedFiles,
+  resultCacheKey,
+  readCachedResult,
+  writeCachedResult
+};
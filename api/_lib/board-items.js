@@ -0,0 +1,105 @@
+import { miroGetJson } from "./miro-rest.js";
+
+// --------------------
+// Board items: listing, titles, stickies and loose title matching (used by the MCP table routes and
+// /api/lovable-readiness)
+// --------------------
+
+// Pages of 50 (5000 items): an upper bound in case the cursor never runs out.
+const MAX_ITEM_PAGES = 100;
+
+// filters: query parameters of GET /boards/{id}/items (type, parent_item_id, tag_id, ...).
+// Throws rather than return a partial list when the cursor is still open after MAX_ITEM_PAGES.
+async function listBoardItems(boardId, token, filters) {
+  const out = [];
+  let cursor = null;
+
+  for (let i = 0; ; i++) {
+    if (i >= MAX_ITEM_PAGES) {
+      throw new Error(
+        `Miro still has more board items after ${MAX_ITEM_PAGES} pages (${out.length} items read). ` +
+        "Refusing to work on a partial list."
+      );
+    }
+
+    const url = new URL(`https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items`);
+    for (const [k, v] of Object.entries(filters || {})) url.searchParams.set(k, v);
+    url.searchParams.set("limit", "50");
+    if (cursor) url.searchParams.set("cursor", cursor);
+
+    const page = await miroGetJson(url.toString(), token);
+    const items = page && Array.isArray(page.data) ? page.data : [];
+    for (const it of items) {
+      if (it && it.id) out.push(it);
+    }
+
+    const nextCursor = page && typeof page.cursor === "string" && page.cursor ? page.cursor : null;
+    if (!nextCursor) break;
+    cursor = nextCursor;
+  }
+  return out;
+}
+
+// Case, spaces and punctuation do not count: "Why it matters", "why_it_matters" and "WhyItMatters" are
+// the same key. Letters outside ASCII (umlauts, ß) are kept.
+function looseKey(s) {
+  return String(s || "").toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+function extractItemTitle(item) {
+  if (!item || typeof item !== "object") return "";
+  const candidates = [
+    item.title,
+    item.name,
+    item.data && item.data.title,
+    item.data && item.data.name
+  ];
+  for (const c of candidates) {
+    if (typeof c === "string" && c.trim()) return c.trim();
+  }
+  return "";
+}
+
+async function loadStickiesInFrame(boardId, token, frameId) {
+  const stickies = (await listBoardItems(boardId, token, { parent_item_id: String(frameId), type: "sticky_note" }))
+    .filter((it) => String(it.type || "") === "sticky_note");
+
+  // Reading order: top-to-bottom, then left-to-right (rows of stickies become table rows in order).
+  stickies.sort((a, b) => {
+    const ay = a.position && typeof a.position.y === "number" ? a.position.y : 0;
+    const by = b.position && typeof b.position.y === "number" ? b.position.y : 0;
+    if (Math.abs(ay - by) > 1) return ay - by;
+    const ax = a.position && typeof a.position.x === "number" ? a.position.x : 0;
+    const bx = b.position && typeof b.position.x === "number" ? b.position.x : 0;
+    return ax - bx;
+  });
+
+  return stickies;
+}
+
+function stickyHtmlToText(html) {
+  let t = String(html || "");
+  t = t.replace(/<\s*br\s*\/?>/gi, "\n");
+  t = t.replace(/<\/\s*(p|div|li)\s*>/gi, "\n");
+  t = t.replace(/<[^>]*>/g, "");
+  t = t
+    .replaceAll("&nbsp;", " ")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", "\"")
+    .replaceAll("&#39;", "'")
+    .replaceAll("&amp;", "&");
+  return t
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+export {
+  listBoardItems,
+  loadStickiesInFrame,
+  stickyHtmlToText,
+  extractItemTitle,
+  looseKey
+};
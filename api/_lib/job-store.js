@@ -0,0 +1,169 @@
+import { randomBytes } from "node:crypto";
+
+// --------------------
+// Job store for long-running analyses (used by /api/analyze-selected-pdf and /api/analyze-job-status)
+// --------------------
+// Jobs are JSON records in a Redis-compatible KV store reached over its REST API
+// (Vercel KV / Upstash: KV_REST_API_URL + KV_REST_API_TOKEN). Without those variables the records live in
+// this function instance's memory, which is only good for local development: a different instance
+// will not see the job.
+//
+// Record: { id, kind, status: queued|running|done|error, phase, input, data, result, error, createdAt, updatedAt }
+//
+// The same store keeps cache entries under their own prefix: analysis results and uploads
+// (api/_lib/analysis-cache.js) and the cell → sticky mapping of /api/table-to-stickies-mcp.
+
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+const JOB_KEY_PREFIX = "dt:job:";
+const LOCK_KEY_PREFIX = "dt:job-lock:";
+const CACHE_KEY_PREFIX = "dt:cache:";
+
+const memoryStore = new Map();
+
+function kvConfig() {
+  const url = (process.env.KV_REST_API_URL || "").trim().replace(/\/+$/, "");
+  const token = (process.env.KV_REST_API_TOKEN || "").trim();
+  return url && token ? { url, token } : null;
+}
+
+async function kvCommand(kv, command) {
+  const res = await fetch(kv.url, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${kv.token}`, "Content-Type": "application/json" },
+    body: JSON.stringify(command)
+  });
+  const text = await res.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    // reported below
+  }
+  if (!res.ok || !data || data.error) {
+    throw new Error(`Job store ${command[0]} → ${res.status}: ${(data && data.error) || text}`);
+  }
+  return data.result;
+}
+
+function memoryGet(key) {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+// false: records live in this instance's memory only (no KV store configured).
+function jobStoreIsShared() {
+  return kvConfig() !== null;
+}
+
+// SET with expiry; with onlyIfNew it behaves like SET NX and returns false if the key exists.
+async function storeSet(key, value, ttlSeconds, onlyIfNew) {
+  const kv = kvConfig();
+  if (kv) {
+    const command = ["SET", key, value, "EX", String(ttlSeconds)];
+    if (onlyIfNew) command.push("NX");
+    return (await kvCommand(kv, command)) === "OK";
+  }
+  if (onlyIfNew && memoryGet(key) !== null) return false;
+  memoryStore.set(key, { value, expiresAt: Date.now() + (ttlSeconds * 1000) });
+  return true;
+}
+
+async function storeGet(key) {
+  const kv = kvConfig();
+  if (kv) return kvCommand(kv, ["GET", key]);
+  return memoryGet(key);
+}
+
+async function storeDelete(key) {
+  const kv = kvConfig();
+  if (kv) {
+    await kvCommand(kv, ["DEL", key]);
+    return;
+  }
+  memoryStore.delete(key);
+}
+
+async function createJob(kind, input, phase) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomBytes(12).toString("base64url"),
+    kind,
+    status: "queued",
+    phase,
+    input,
+    data: {},
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  await storeSet(JOB_KEY_PREFIX + job.id, JSON.stringify(job), JOB_TTL_SECONDS, false);
+  return job;
+}
+
+async function loadJob(id) {
+  if (typeof id !== "string" || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) return null;
+  const raw = await storeGet(JOB_KEY_PREFIX + id);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await storeSet(JOB_KEY_PREFIX + job.id, JSON.stringify(job), JOB_TTL_SECONDS, false);
+  return job;
+}
+
+// One step at a time per job: concurrent polls that fail to claim just report the stored state.
+// The lock expires on its own, so a step that died with its function instance is retried later.
+async function claimJob(id, ttlSeconds) {
+  return storeSet(LOCK_KEY_PREFIX + id, "1", ttlSeconds, true);
+}
+
+async function releaseJob(id) {
+  await storeDelete(LOCK_KEY_PREFIX + id);
+}
+
+// --------------------
+// Cache entries (JSON values with their own expiry)
+// --------------------
+
+async function readCache(key) {
+  const raw = await storeGet(CACHE_KEY_PREFIX + key);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// With onlyIfNew it returns false when the entry already exists (and leaves it alone).
+async function writeCache(key, value, ttlSeconds, onlyIfNew) {
+  return storeSet(CACHE_KEY_PREFIX + key, JSON.stringify(value), ttlSeconds, !!onlyIfNew);
+}
+
+async function deleteCache(key) {
+  await storeDelete(CACHE_KEY_PREFIX + key);
+}
+
+export {
+  jobStoreIsShared,
+  createJob,
+  loadJob,
+  saveJob,
+  claimJob,
+  releaseJob,
+  readCache,
+  writeCache,
+  deleteCache
+};
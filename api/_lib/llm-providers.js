@@ -0,0 +1,331 @@
+// --------------------
+// LLM providers (used by /api/analyze-selected-pdf and /api/llm-providers)
+// --------------------
+// Requests are written in the shape of the OpenAI Responses API (input_text / input_file / input_image
+// parts, text.format json_schema); results come back in that shape too. A provider says where they go:
+//   baseUrl     e.g. https://api.openai.com/v1 or http://localhost:8000/v1 (OpenAI-compatible server)
+//   api         "responses" (POST /responses) or "chat" (POST /chat/completions, converted both ways)
+//   auth        "bearer" (Authorization header), "api-key" (api-key header, Azure) or "none"
+//   apiKeyEnv   env variable with the server-side key; a key sent with the request wins
+//   apiVersion  appended as ?api-version= (older Azure deployments)
+//   files       accepts uploaded files (input_file); without it PDFs are sent as extracted text
+//   maxFilePages  pages the model reads from one uploaded PDF (longer ones are split); omitted: no limit
+//   images      accepts input_image parts
+//   background  supports background responses (async jobs poll them; without it async is refused)
+//   models      offered in the panels; the first one is the default unless defaultModel is set
+//
+// Built in: "openai" (always) and "azure" (when AZURE_OPENAI_ENDPOINT is set). LLM_PROVIDERS holds a JSON
+// array of further providers, or of overrides merged into a built-in one with the same id.
+// LLM_PROVIDER picks the default; a request can name another one.
+
+const DEFAULT_PROVIDER_ID = "openai";
+const DEFAULT_OPENAI_MODELS = ["gpt-5.2"];
+// Page limit of PDF file inputs on the Responses API.
+const DEFAULT_MAX_FILE_PAGES = 100;
+
+const PROVIDER_APIS = ["responses", "chat"];
+const PROVIDER_AUTH = ["bearer", "api-key", "none"];
+
+function builtInProviders() {
+  const providers = [{
+    id: "openai",
+    label: "OpenAI",
+    baseUrl: envString("OPENAI_BASE_URL") || "https://api.openai.com/v1",
+    api: "responses",
+    auth: "bearer",
+    apiKeyEnv: "OPENAI_API_KEY",
+    files: true,
+    maxFilePages: DEFAULT_MAX_FILE_PAGES,
+    images: true,
+    background: true,
+    models: envList("OPENAI_MODELS") || DEFAULT_OPENAI_MODELS
+  }];
+
+  // Resource endpoint (https://<name>.openai.azure.com); models are deployment names.
+  const azureEndpoint = envString("AZURE_OPENAI_ENDPOINT").replace(/\/+$/, "");
+  if (azureEndpoint) {
+    providers.push({
+      id: "azure",
+      label: "Azure OpenAI",
+      baseUrl: /\/openai(\/v1)?$/.test(azureEndpoint) ? azureEndpoint : `${azureEndpoint}/openai/v1`,
+      api: "responses",
+      auth: "api-key",
+      apiKeyEnv: "AZURE_OPENAI_API_KEY",
+      apiVersion: envString("AZURE_OPENAI_API_VERSION") || null,
+      files: true,
+      maxFilePages: DEFAULT_MAX_FILE_PAGES,
+      images: true,
+      background: true,
+      models: envList("AZURE_OPENAI_DEPLOYMENTS") || []
+    });
+  }
+  return providers;
+}
+
+function configuredProviders() {
+  const providers = builtInProviders();
+
+  const raw = envString("LLM_PROVIDERS");
+  if (raw) {
+    let extra;
+    try {
+      extra = JSON.parse(raw);
+    } catch (e) {
+      throw providerError(`Server misconfigured: LLM_PROVIDERS is not valid JSON (${e.message}).`, 500);
+    }
+    if (!Array.isArray(extra)) throw providerError("Server misconfigured: LLM_PROVIDERS must be a JSON array.", 500);
+
+    for (const entry of extra) {
+      const id = entry && typeof entry.id === "string" ? entry.id.trim() : "";
+      if (!id) throw providerError("Server misconfigured: every LLM_PROVIDERS entry needs an id.", 500);
+      const existing = providers.find((p) => p.id === id);
+      if (existing) Object.assign(existing, entry, { id });
+      else providers.push({ label: id, api: "responses", auth: "bearer", files: false, images: false, background: false, models: [], ...entry, id });
+    }
+  }
+
+  return providers.map(checkProvider);
+}
+
+function checkProvider(p) {
+  const problem =
+    (typeof p.baseUrl !== "string" || !/^https?:\/\//.test(p.baseUrl)) ? "baseUrl must be an http(s) URL" :
+    !PROVIDER_APIS.includes(p.api) ? `api must be ${PROVIDER_APIS.join(" or ")}` :
+    !PROVIDER_AUTH.includes(p.auth) ? `auth must be ${PROVIDER_AUTH.join(", ")}` :
+    (p.auth !== "none" && !p.apiKeyEnv) ? "apiKeyEnv is missing" :
+    !Array.isArray(p.models) ? "models must be an array" :
+    null;
+  if (problem) throw providerError(`Server misconfigured: LLM provider "${p.id}": ${problem}.`, 500);
+
+  const models = p.models.filter((m) => typeof m === "string" && m.trim()).map((m) => m.trim());
+  return {
+    ...p,
+    baseUrl: p.baseUrl.replace(/\/+$/, ""),
+    models,
+    defaultModel: (typeof p.defaultModel === "string" && p.defaultModel.trim()) || models[0] || null,
+    files: p.files === true,
+    maxFilePages: Number.isInteger(p.maxFilePages) && p.maxFilePages > 0 ? p.maxFilePages : null,
+    images: p.images === true,
+    background: p.background === true && p.api === "responses"
+  };
+}
+
+// requestedId: body.provider; falls back to LLM_PROVIDER, then "openai".
+function resolveLlmProvider(requestedId) {
+  const providers = configuredProviders();
+  const id = (typeof requestedId === "string" && requestedId.trim()) || envString("LLM_PROVIDER") || DEFAULT_PROVIDER_ID;
+  const provider = providers.find((p) => p.id === id);
+  if (!provider) {
+    throw providerError(`Unknown LLM provider "${id}". Configured: ${providers.map((p) => p.id).join(", ")}.`, 400);
+  }
+  return provider;
+}
+
+// What the panels may see: no URLs of internal servers, no key names.
+function listLlmProviders() {
+  const defaultId = envString("LLM_PROVIDER") || DEFAULT_PROVIDER_ID;
+  return {
+    defaultProvider: defaultId,
+    providers: configuredProviders().map((p) => ({
+      id: p.id,
+      label: p.label || p.id,
+      models: p.models,
+      defaultModel: p.defaultModel,
+      files: p.files,
+      images: p.images,
+      background: p.background,
+      // false: the request has to bring its own key
+      serverKey: p.auth === "none" || !!envString(p.apiKeyEnv)
+    }))
+  };
+}
+
+// A key sent with the request wins over the server-side one; "" when the provider needs none.
+function llmApiKey(provider, requestKey) {
+  if (provider.auth === "none") return "";
+  const own = typeof requestKey === "string" ? requestKey.trim() : "";
+  return own || envString(provider.apiKeyEnv);
+}
+
+// --------------------
+// Calls
+// --------------------
+
+async function llmUploadFile(provider, apiKey, filename, bytes, mimeType) {
+  if (!provider.files) throw providerError(`LLM provider "${provider.id}" does not accept file uploads.`, 400);
+
+  const form = new FormData();
+  form.append("purpose", "user_data");
+  form.append("file", new Blob([bytes], { type: mimeType }), filename);
+
+  const res = await fetch(providerUrl(provider, "/files"), {
+    method: "POST",
+    headers: authHeaders(provider, apiKey),
+    body: form
+  });
+
+  const text = await res.text();
+  if (!res.ok) throw upstreamError(`${provider.id} /files → ${res.status}: ${text}`, res.status);
+  return JSON.parse(text);
+}
+
+// null when the file does not exist (any more).
+async function llmGetFile(provider, apiKey, fileId) {
+  const res = await fetch(providerUrl(provider, `/files/${encodeURIComponent(fileId)}`), {
+    method: "GET",
+    headers: authHeaders(provider, apiKey)
+  });
+
+  const text = await res.text();
+  if (res.status === 404) return null;
+  if (!res.ok) throw upstreamError(`${provider.id} GET /files/${fileId} → ${res.status}: ${text}`, res.status);
+  return JSON.parse(text);
+}
+
+// Files uploaded for analyses (purpose user_data): [{ id, filename, created_at, ... }].
+async function llmListFiles(provider, apiKey) {
+  const res = await fetch(providerUrl(provider, "/files", { purpose: "user_data" }), {
+    method: "GET",
+    headers: authHeaders(provider, apiKey)
+  });
+
+  const text = await res.text();
+  if (!res.ok) throw upstreamError(`${provider.id} GET /files → ${res.status}: ${text}`, res.status);
+  const data = JSON.parse(text);
+  return Array.isArray(data.data) ? data.data : [];
+}
+
+async function llmDeleteFile(provider, apiKey, fileId) {
+  const res = await fetch(providerUrl(provider, `/files/${encodeURIComponent(fileId)}`), {
+    method: "DELETE",
+    headers: authHeaders(provider, apiKey)
+  });
+
+  // Already gone is fine.
+  if (!res.ok && res.status !== 404) {
+    throw upstreamError(`${provider.id} DELETE /files/${fileId} → ${res.status}: ${await res.text()}`, res.status);
+  }
+}
+
+// request: Responses API body. Returns a Responses API object (chat answers are converted).
+async function llmCreateResponse(provider, apiKey, request) {
+  if (provider.api === "chat") return chatCompletion(provider, apiKey, request);
+
+  const res = await fetch(providerUrl(provider, "/responses"), {
+    method: "POST",
+    headers: { ...authHeaders(provider, apiKey), "Content-Type": "application/json" },
+    body: JSON.stringify(request)
+  });
+
+  const text = await res.text();
+  if (!res.ok) throw upstreamError(`${provider.id} /responses → ${res.status}: ${text}`, res.status);
+  return JSON.parse(text);
+}
+
+async function llmGetResponse(provider, apiKey, responseId) {
+  const res = await fetch(providerUrl(provider, `/responses/${encodeURIComponent(responseId)}`), {
+    method: "GET",
+    headers: authHeaders(provider, apiKey)
+  });
+
+  const text = await res.text();
+  if (!res.ok) throw upstreamError(`${provider.id} GET /responses/${responseId} → ${res.status}: ${text}`, res.status);
+  return JSON.parse(text);
+}
+
+// Chat Completions for servers without /responses (vLLM, llama.cpp, Ollama, …).
+async function chatCompletion(provider, apiKey, request) {
+  const content = [];
+  for (const message of request.input || []) {
+    for (const part of message.content || []) {
+      if (part.type === "input_text") content.push({ type: "text", text: part.text });
+      else if (part.type === "input_image") content.push({ type: "image_url", image_url: { url: part.image_url } });
+      else if (part.type === "input_file") content.push({ type: "file", file: { file_id: part.file_id } });
+    }
+  }
+
+  const body = { model: request.model, messages: [{ role: "user", content }] };
+  const format = request.text && request.text.format;
+  if (format && format.type === "json_schema") {
+    body.response_format = {
+      type: "json_schema",
+      json_schema: { name: format.name, strict: format.strict, schema: format.schema }
+    };
+  }
+
+  const res = await fetch(providerUrl(provider, "/chat/completions"), {
+    method: "POST",
+    headers: { ...authHeaders(provider, apiKey), "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+
+  const text = await res.text();
+  if (!res.ok) throw upstreamError(`${provider.id} /chat/completions → ${res.status}: ${text}`, res.status);
+
+  const data = JSON.parse(text);
+  const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
+  const message = choice && choice.message ? choice.message : {};
+  const part = message.refusal
+    ? { type: "refusal", refusal: message.refusal }
+    : { type: "output_text", text: typeof message.content === "string" ? message.content : "" };
+
+  return {
+    id: data.id || null,
+    status: choice && choice.finish_reason === "length" ? "incomplete" : "completed",
+    incomplete_details: choice && choice.finish_reason === "length" ? { reason: "max_output_tokens" } : null,
+    output: [{ type: "message", content: [part] }]
+  };
+}
+
+// --------------------
+// Helpers
+// --------------------
+
+function providerUrl(provider, path, query) {
+  const params = new URLSearchParams(query || {});
+  if (provider.apiVersion) params.set("api-version", provider.apiVersion);
+  const qs = params.toString();
+  return qs ? `${provider.baseUrl}${path}?${qs}` : `${provider.baseUrl}${path}`;
+}
+
+function authHeaders(provider, apiKey) {
+  if (provider.auth === "none" || !apiKey) return {};
+  if (provider.auth === "api-key") return { "api-key": apiKey };
+  return { Authorization: `Bearer ${apiKey}` };
+}
+
+function envString(name) {
+  return typeof name === "string" && name ? (process.env[name] || "").trim() : "";
+}
+
+// Comma-separated list; null when unset.
+function envList(name) {
+  const raw = envString(name);
+  if (!raw) return null;
+  return raw.split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+// Failed call to the provider; upstreamStatus (its HTTP status) lets async jobs retry 429 and 5xx.
+function upstreamError(message, upstreamStatus) {
+  const err = new Error(message);
+  err.upstreamStatus = upstreamStatus;
+  return err;
+}
+
+function providerError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export {
+  resolveLlmProvider,
+  listLlmProviders,
+  llmApiKey,
+  llmUploadFile,
+  llmGetFile,
+  llmListFiles,
+  llmDeleteFile,
+  llmCreateResponse,
+  llmGetResponse
+};
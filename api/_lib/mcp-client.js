@@ -0,0 +1,320 @@
+// --------------------
+// MCP CLIENT (Streamable HTTP JSON-RPC), shared by the API handlers
+// --------------------
+// Files under api/_lib are not deployed as functions by Vercel.
+//
+// Lifecycle: mcpStartSession() (initialize → version check → notifications/initialized),
+// any number of requests, then mcpCloseSession() (HTTP DELETE of the session).
+// Responses may come back as plain JSON or as an SSE stream; the stream is read incrementally so
+// progress notifications and server requests (e.g. ping) are handled before the final response.
+//
+// MIRO_MCP_URL points the client at another server (e.g. a local stand-in while developing).
+
+const MCP_DEFAULT_ENDPOINT = "https://mcp.miro.com/";
+
+// Newest first; the first one is offered in initialize, the server may answer with any of them.
+const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const MCP_CLIENT_INFO = { name: "datentreiber-miro-app", version: "1.0" };
+
+// Per-request limit (a tools/call on a big table can take a while, but must not hang the function).
+const MCP_REQUEST_TIMEOUT_MS = 60000;
+
+// JSON-RPC "method not found", returned for server requests we do not implement.
+const JSONRPC_METHOD_NOT_FOUND = -32601;
+
+// opts: { endpoint, timeoutMs, onNotification(message) }
+async function mcpStartSession(token, opts) {
+  const mcp = {
+    endpoint: (opts && opts.endpoint) || resolveMcpEndpoint(),
+    token,
+    timeoutMs: (opts && opts.timeoutMs) || MCP_REQUEST_TIMEOUT_MS,
+    onNotification: (opts && typeof opts.onNotification === "function") ? opts.onNotification : null,
+    sessionId: null,
+    protocolVersion: null,
+    serverInfo: null,
+    capabilities: null,
+    nextId: 1
+  };
+  await mcpInitialize(mcp);
+  return mcp;
+}
+
+function resolveMcpEndpoint() {
+  return (process.env.MIRO_MCP_URL || "").trim() || MCP_DEFAULT_ENDPOINT;
+}
+
+async function mcpInitialize(mcp) {
+  mcp.sessionId = null;
+  mcp.protocolVersion = null;
+
+  const result = await mcpRequest(mcp, "initialize", {
+    protocolVersion: MCP_PROTOCOL_VERSIONS[0],
+    capabilities: {},
+    clientInfo: MCP_CLIENT_INFO
+  });
+
+  const version = result && result.protocolVersion;
+  if (!MCP_PROTOCOL_VERSIONS.includes(version)) {
+    await mcpCloseSession(mcp);
+    throw mcpError(`MCP server wants protocol version ${version || "(none)"}; supported: ${MCP_PROTOCOL_VERSIONS.join(", ")}.`);
+  }
+
+  mcp.protocolVersion = version;
+  mcp.serverInfo = result.serverInfo || null;
+  mcp.capabilities = result.capabilities || {};
+
+  await mcpNotify(mcp, "notifications/initialized");
+}
+
+// Ends the session on the server. Best effort: never throws (servers may answer 405 = not supported).
+async function mcpCloseSession(mcp) {
+  if (!mcp || !mcp.sessionId) return false;
+  const sessionId = mcp.sessionId;
+  mcp.sessionId = null;
+  try {
+    const res = await fetch(mcp.endpoint, {
+      method: "DELETE",
+      headers: mcpHeaders(mcp, sessionId),
+      signal: AbortSignal.timeout(mcp.timeoutMs)
+    });
+    return res.ok;
+  } catch {
+    return false;
+  }
+}
+
+// Returns the JSON-RPC result; a JSON-RPC error is thrown (with .code and .data).
+// opts: { onProgress(params) } asks the server for notifications/progress on this request.
+async function mcpRequest(mcp, method, params, opts) {
+  const message = await mcpExchange(mcp, method, params, opts);
+  if (message.error) {
+    const e = message.error;
+    throw mcpError(`MCP ${method} error ${e.code}: ${e.message || JSON.stringify(e)}`, { code: e.code, data: e.data });
+  }
+  return message.result;
+}
+
+// Same as mcpRequest but returns the whole JSON-RPC response message (error included).
+async function mcpExchange(mcp, method, params, opts) {
+  const id = mcp.nextId++;
+  const onProgress = (opts && typeof opts.onProgress === "function") ? opts.onProgress : null;
+
+  const reqParams = Object.assign({}, params || {});
+  if (onProgress) reqParams._meta = Object.assign({}, reqParams._meta, { progressToken: id });
+
+  try {
+    return await mcpPost(mcp, { jsonrpc: "2.0", id, method, params: reqParams }, onProgress);
+  } catch (e) {
+    // 404 on a request with a session id = session expired: start a new one and retry once.
+    if (e && e.status === 404 && method !== "initialize" && mcp.sessionId && !(opts && opts.retried)) {
+      await mcpInitialize(mcp);
+      return mcpExchange(mcp, method, params, Object.assign({}, opts, { retried: true }));
+    }
+    throw e;
+  }
+}
+
+async function mcpNotify(mcp, method, params) {
+  const message = { jsonrpc: "2.0", method };
+  if (params) message.params = params;
+  await mcpPost(mcp, message, null);
+}
+
+async function mcpListTools(mcp) {
+  const tools = [];
+  let cursor = null;
+  for (let page = 0; page < 20; page++) {
+    const result = await mcpRequest(mcp, "tools/list", cursor ? { cursor } : {});
+    if (result && Array.isArray(result.tools)) tools.push(...result.tools);
+    cursor = result && result.nextCursor ? result.nextCursor : null;
+    if (!cursor) break;
+  }
+  return tools;
+}
+
+// Returns the JSON-RPC response (see extractToolPayload in mcp-tables.js for reading it).
+async function mcpCallTool(mcp, name, args, opts) {
+  return mcpExchange(mcp, "tools/call", { name, arguments: args }, opts);
+}
+
+function mcpHeaders(mcp, sessionId) {
+  const headers = {
+    "Accept": "application/json, text/event-stream",
+    "Authorization": `Bearer ${mcp.token}`
+  };
+  if (sessionId) headers["Mcp-Session-Id"] = sessionId;
+  if (mcp.protocolVersion) headers["MCP-Protocol-Version"] = mcp.protocolVersion;
+  return headers;
+}
+
+// POSTs one JSON-RPC message. For requests, resolves with the response message of the same id;
+// for notifications and responses (no reply expected) resolves with null.
+async function mcpPost(mcp, message, onProgress) {
+  const headers = mcpHeaders(mcp, mcp.sessionId);
+  headers["Content-Type"] = "application/json";
+
+  const res = await fetch(mcp.endpoint, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(message),
+    redirect: "follow",
+    signal: AbortSignal.timeout(mcp.timeoutMs)
+  });
+
+  // The server assigns the session id in its reply to initialize.
+  const sessionId = res.headers.get("Mcp-Session-Id");
+  if (sessionId && message.method === "initialize") mcp.sessionId = sessionId;
+
+  const label = message.method || "response";
+  if (!res.ok) {
+    const t = await res.text().catch(() => "");
+    throw mcpError(`MCP POST ${label} → ${res.status}: ${t}`, { status: res.status });
+  }
+
+  const expectsReply = typeof message.id !== "undefined" && typeof message.method === "string";
+  if (!expectsReply) {
+    await res.text().catch(() => "");
+    return null;
+  }
+
+  const ct = (res.headers.get("content-type") || "").toLowerCase();
+  let response = null;
+
+  if (ct.includes("text/event-stream")) {
+    response = await readSseResponse(mcp, res, message.id, onProgress);
+  } else {
+    const raw = await res.text();
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      throw mcpError(`MCP ${label}: unexpected content-type=${ct}, body=${raw.slice(0, 200)}`);
+    }
+    for (const m of (Array.isArray(parsed) ? parsed : [parsed])) {
+      if (isResponseTo(m, message.id)) response = m;
+      else await handleServerMessage(mcp, m, onProgress);
+    }
+  }
+
+  if (!response) {
+    throw mcpError(`MCP ${label}: the server sent no response for request id ${message.id}.`);
+  }
+  return response;
+}
+
+// Reads an SSE stream event by event (multi-line data fields are joined with "\n", as the SSE spec
+// says) until the response to `id` arrives. Everything else is a server notification or request.
+async function readSseResponse(mcp, res, id, onProgress) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let data = [];
+  let response = null;
+
+  const dispatch = async () => {
+    if (!data.length) return;
+    const payload = data.join("\n");
+    data = [];
+
+    let parsed;
+    try {
+      parsed = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    for (const m of (Array.isArray(parsed) ? parsed : [parsed])) {
+      if (isResponseTo(m, id)) response = m;
+      else await handleServerMessage(mcp, m, onProgress);
+    }
+  };
+
+  const feedLine = async (line) => {
+    if (line === "") return dispatch();
+    if (line.startsWith(":")) return;
+    const colon = line.indexOf(":");
+    const field = colon < 0 ? line : line.slice(0, colon);
+    let value = colon < 0 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    // "event", "id" and "retry" carry nothing we need: every MCP message is a JSON-RPC payload.
+    if (field === "data") data.push(value);
+  };
+
+  const drainLines = async (final) => {
+    for (;;) {
+      const m = /\r\n|\n|\r/.exec(buffer);
+      if (!m) break;
+      // A trailing "\r" may be the first half of "\r\n" split across chunks.
+      if (!final && m[0] === "\r" && m.index === buffer.length - 1) break;
+      const line = buffer.slice(0, m.index);
+      buffer = buffer.slice(m.index + m[0].length);
+      await feedLine(line);
+      if (response) return;
+    }
+  };
+
+  if (res.body) {
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      await drainLines(false);
+      if (response) break;
+    }
+  }
+  if (!response) {
+    buffer += decoder.decode();
+    await drainLines(true);
+    if (!response && buffer) await feedLine(buffer);
+    if (!response) await dispatch();
+  }
+  return response;
+}
+
+function isResponseTo(message, id) {
+  return Boolean(message) && message.id === id && typeof message.method === "undefined"
+    && (typeof message.result !== "undefined" || typeof message.error !== "undefined");
+}
+
+async function handleServerMessage(mcp, message, onProgress) {
+  if (!message || typeof message !== "object" || typeof message.method !== "string") return;
+
+  // Server → client request: answer ping, decline everything else (we offer no client capabilities).
+  if (typeof message.id !== "undefined") {
+    const reply = (message.method === "ping")
+      ? { jsonrpc: "2.0", id: message.id, result: {} }
+      : { jsonrpc: "2.0", id: message.id, error: { code: JSONRPC_METHOD_NOT_FOUND, message: `Method not supported: ${message.method}` } };
+    await mcpPost(mcp, reply, null).catch(() => null);
+    return;
+  }
+
+  if (message.method === "notifications/progress" && onProgress) {
+    try {
+      onProgress(message.params || {});
+    } catch {
+      // a failing progress callback must not break the request
+    }
+  }
+  if (mcp.onNotification) {
+    try {
+      mcp.onNotification(message);
+    } catch {
+      // same as above
+    }
+  }
+}
+
+// Like miroError in miro-rest.js: HTTP status / JSON-RPC code stay on the error.
+function mcpError(message, fields) {
+  const err = new Error(message);
+  if (fields) Object.assign(err, fields);
+  return err;
+}
+
+export {
+  MCP_PROTOCOL_VERSIONS,
+  resolveMcpEndpoint,
+  mcpStartSession,
+  mcpCloseSession,
+  mcpRequest,
+  mcpNotify,
+  mcpListTools,
+  mcpCallTool
+};
@@ -0,0 +1,383 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { resolveMcpEndpoint } from "./mcp-client.js";
+
+// --------------------
+// MCP authorization (OAuth 2.1 + PKCE), used by /api/mcp-oauth-start and /api/mcp-oauth-callback
+// --------------------
+// 1) Discovery: the MCP server's protected-resource metadata (RFC 9728) names its authorization
+//    server, whose metadata (RFC 8414 / OpenID) gives the endpoints.
+// 2) Dynamic client registration (RFC 7591), unless MIRO_MCP_CLIENT_ID is set.
+// 3) Authorization code + PKCE (S256) with the resource indicator (RFC 8707).
+//
+// There is no server-side store: the PKCE verifier travels in the (encrypted) OAuth state, and the
+// tokens are handed to the caller as an encrypted blob ("mcpAuth") that it sends back with each request.
+// Encryption: AES-256-GCM with a key derived from MCP_TOKEN_SECRET.
+//
+// The state is bound to the browser that started the sign-in: /api/mcp-oauth-start sets a random nonce
+// as a cookie and seals its hash into the state; the callback only accepts a state whose hash matches
+// that browser's cookie (no login CSRF with a state/code pair from someone else's sign-in).
+//
+// Only the Miro MCP calls act as the signed-in user (reading tables, and writing rows in
+// stickies-to-table / votes-to-table): the token is issued for the MCP server (resource indicator) and
+// the REST API does not take it. Everything done over REST (stickies, cards, frames, tags, docs) still
+// uses the app's MIRO_ACCESS_TOKEN. The panel's sign-in is in readiness.html.
+
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_NONCE_COOKIE = "mcp_oauth_nonce";
+
+// Refresh a bit before the access token actually expires.
+const TOKEN_REFRESH_SKEW_MS = 60 * 1000;
+
+const SEAL_PREFIX = "v1.";
+
+const CLIENT_NAME = "Datentreiber Miro App";
+
+// Warm function instances reuse their dynamic registration (keyed by registration endpoint + redirect URI).
+const registeredClients = new Map();
+
+async function discoverMcpAuthorization(endpoint) {
+  const mcpUrl = endpoint || resolveMcpEndpoint();
+
+  const resourceMeta = await fetchResourceMetadata(mcpUrl);
+  const resource = (resourceMeta && typeof resourceMeta.resource === "string" && resourceMeta.resource) || mcpUrl;
+
+  // Servers without resource metadata (older MCP revisions) are their own authorization server.
+  const issuer = (resourceMeta && Array.isArray(resourceMeta.authorization_servers) && resourceMeta.authorization_servers[0])
+    || new URL(mcpUrl).origin;
+
+  const server = await fetchAuthServerMetadata(issuer);
+  if (!server || !server.authorization_endpoint || !server.token_endpoint) {
+    throw oauthError(`No OAuth authorization server metadata found for ${issuer}.`, 502);
+  }
+
+  const methods = Array.isArray(server.code_challenge_methods_supported) ? server.code_challenge_methods_supported : null;
+  if (methods && !methods.includes("S256")) {
+    throw oauthError(`Authorization server ${issuer} does not support PKCE S256.`, 502);
+  }
+
+  const scopes = resourceMeta && Array.isArray(resourceMeta.scopes_supported) ? resourceMeta.scopes_supported : [];
+  return { resource, issuer, server, scopes };
+}
+
+// The 401 of an unauthenticated MCP request points at the metadata (WWW-Authenticate resource_metadata);
+// otherwise try the well-known locations.
+async function fetchResourceMetadata(mcpUrl) {
+  const candidates = [];
+
+  try {
+    const res = await fetch(mcpUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Accept": "application/json, text/event-stream" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "ping" })
+    });
+    const challenge = res.headers.get("www-authenticate") || "";
+    const m = challenge.match(/resource_metadata="([^"]+)"/i);
+    if (m) candidates.push(new URL(m[1], mcpUrl).toString());
+    await res.text().catch(() => "");
+  } catch {
+    // fall through to the well-known locations
+  }
+
+  const u = new URL(mcpUrl);
+  const path = u.pathname.replace(/\/$/, "");
+  if (path) candidates.push(`${u.origin}/.well-known/oauth-protected-resource${path}`);
+  candidates.push(`${u.origin}/.well-known/oauth-protected-resource`);
+
+  for (const url of candidates) {
+    const meta = await fetchJsonOrNull(url);
+    if (meta && Array.isArray(meta.authorization_servers)) return meta;
+  }
+  return null;
+}
+
+async function fetchAuthServerMetadata(issuer) {
+  const u = new URL(issuer);
+  const path = u.pathname.replace(/\/$/, "");
+  const candidates = [
+    `${u.origin}/.well-known/oauth-authorization-server${path}`,
+    `${u.origin}/.well-known/openid-configuration${path}`
+  ];
+  if (path) candidates.push(`${u.origin}${path}/.well-known/openid-configuration`);
+
+  for (const url of candidates) {
+    const meta = await fetchJsonOrNull(url);
+    if (meta && meta.authorization_endpoint) return meta;
+  }
+  return null;
+}
+
+async function fetchJsonOrNull(url) {
+  try {
+    const res = await fetch(url, { headers: { Accept: "application/json" } });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function registerOAuthClient(server, redirectUri) {
+  const fixedId = (process.env.MIRO_MCP_CLIENT_ID || "").trim();
+  if (fixedId) {
+    const secret = (process.env.MIRO_MCP_CLIENT_SECRET || "").trim() || null;
+    return { clientId: fixedId, clientSecret: secret, authMethod: secret ? "client_secret_post" : "none" };
+  }
+
+  if (!server.registration_endpoint) {
+    throw oauthError("Authorization server offers no dynamic client registration; set MIRO_MCP_CLIENT_ID.", 500);
+  }
+
+  const cacheKey = `${server.registration_endpoint}|${redirectUri}`;
+  if (registeredClients.has(cacheKey)) return registeredClients.get(cacheKey);
+
+  const res = await fetch(server.registration_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Accept": "application/json" },
+    body: JSON.stringify({
+      client_name: CLIENT_NAME,
+      redirect_uris: [redirectUri],
+      grant_types: ["authorization_code", "refresh_token"],
+      response_types: ["code"],
+      token_endpoint_auth_method: "none"
+    })
+  });
+  const text = await res.text().catch(() => "");
+  if (!res.ok) throw oauthError(`Client registration → ${res.status}: ${text}`, 502);
+
+  const reg = JSON.parse(text);
+  const client = {
+    clientId: String(reg.client_id),
+    clientSecret: reg.client_secret || null,
+    authMethod: reg.token_endpoint_auth_method || (reg.client_secret ? "client_secret_basic" : "none")
+  };
+  registeredClients.set(cacheKey, client);
+  return client;
+}
+
+function createPkcePair() {
+  const verifier = randomBytes(32).toString("base64url");
+  const challenge = createHash("sha256").update(verifier).digest("base64url");
+  return { verifier, challenge };
+}
+
+// MCP_OAUTH_REDIRECT_URI wins; otherwise the callback route on the host that served the request.
+function oauthRedirectUri(req) {
+  const fixed = (process.env.MCP_OAUTH_REDIRECT_URI || "").trim();
+  if (fixed) return fixed;
+  const headers = req.headers || {};
+  const proto = String(headers["x-forwarded-proto"] || "https").split(",")[0].trim();
+  const host = String(headers["x-forwarded-host"] || headers.host || "").split(",")[0].trim();
+  if (!host) throw oauthError("Cannot determine the callback URL; set MCP_OAUTH_REDIRECT_URI.", 500);
+  return `${proto}://${host}/api/mcp-oauth-callback`;
+}
+
+// Returns { url, state, nonce } for the redirect to the authorization server; nonce goes into the
+// OAUTH_NONCE_COOKIE of the same response.
+async function beginAuthorization(redirectUri) {
+  const disco = await discoverMcpAuthorization();
+  const client = await registerOAuthClient(disco.server, redirectUri);
+  const pkce = createPkcePair();
+  const nonce = randomBytes(32).toString("base64url");
+
+  const state = sealValue("state", {
+    nonceHash: hashNonce(nonce),
+    verifier: pkce.verifier,
+    redirectUri,
+    resource: disco.resource,
+    tokenEndpoint: disco.server.token_endpoint,
+    client,
+    expiresAt: Date.now() + OAUTH_STATE_TTL_MS
+  });
+
+  const url = new URL(disco.server.authorization_endpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", client.clientId);
+  url.searchParams.set("redirect_uri", redirectUri);
+  url.searchParams.set("code_challenge", pkce.challenge);
+  url.searchParams.set("code_challenge_method", "S256");
+  url.searchParams.set("resource", disco.resource);
+  url.searchParams.set("state", state);
+  if (disco.scopes.length) url.searchParams.set("scope", disco.scopes.join(" "));
+
+  return { url: url.toString(), state, nonce };
+}
+
+// Callback: state + code → sealed tokens (the "mcpAuth" blob). nonce: the OAUTH_NONCE_COOKIE value.
+async function completeAuthorization(sealedState, code, nonce) {
+  const state = unsealValue("state", sealedState);
+  if (!state || !(state.expiresAt > Date.now())) {
+    throw oauthError("Sign-in expired or state invalid; please start again.", 400);
+  }
+  if (!nonce || !state.nonceHash || !sameString(hashNonce(nonce), state.nonceHash)) {
+    throw oauthError("Sign-in was started in a different browser (or its cookie is gone); please start again.", 400);
+  }
+
+  const tokens = await requestTokens(state.tokenEndpoint, state.client, {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: state.redirectUri,
+    code_verifier: state.verifier,
+    resource: state.resource
+  });
+
+  return sealTokens(tokens, state, null);
+}
+
+// For the API handlers: the MCP access token from a sealed mcpAuth blob (refreshed when due),
+// or the shared fallback token when the caller is not signed in.
+// Returns { token, user, refreshed } where refreshed is a new mcpAuth blob the caller must keep.
+async function resolveMcpToken(mcpAuth, fallbackToken) {
+  if (!mcpAuth) return { token: fallbackToken, user: false, refreshed: null };
+
+  const auth = unsealValue("token", mcpAuth);
+  if (!auth || !auth.accessToken) throw oauthError("mcpAuth is invalid; please sign in again.", 401);
+
+  if (!auth.expiresAt || auth.expiresAt - TOKEN_REFRESH_SKEW_MS > Date.now()) {
+    return { token: auth.accessToken, user: true, refreshed: null };
+  }
+  if (!auth.refreshToken) throw oauthError("MCP sign-in expired; please sign in again.", 401);
+
+  let tokens;
+  try {
+    tokens = await requestTokens(auth.tokenEndpoint, auth.client, {
+      grant_type: "refresh_token",
+      refresh_token: auth.refreshToken,
+      resource: auth.resource
+    });
+  } catch (e) {
+    throw oauthError(`MCP token refresh failed; please sign in again. (${e && e.message ? e.message : e})`, 401);
+  }
+
+  const refreshed = sealTokens(tokens, auth, auth.refreshToken);
+  return { token: tokens.access_token, user: true, refreshed };
+}
+
+// Error response of an API handler after resolveMcpToken: a refreshed blob must still reach the caller
+// (the refresh token it replaces may already be rotated out). Plain text when nothing was refreshed.
+function sendMcpError(res, status, message, mcpAuth) {
+  if (mcpAuth && mcpAuth.refreshed) {
+    res.status(status).json({ error: message, mcpAuth: mcpAuth.refreshed });
+    return;
+  }
+  res.status(status).send(message);
+}
+
+async function requestTokens(tokenEndpoint, client, params) {
+  const form = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== null && typeof v !== "undefined") form.set(k, String(v));
+  }
+
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", "Accept": "application/json" };
+  if (client.clientSecret && client.authMethod === "client_secret_basic") {
+    const basic = `${encodeURIComponent(client.clientId)}:${encodeURIComponent(client.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(basic).toString("base64")}`;
+  } else {
+    form.set("client_id", client.clientId);
+    if (client.clientSecret) form.set("client_secret", client.clientSecret);
+  }
+
+  const res = await fetch(tokenEndpoint, { method: "POST", headers, body: form.toString() });
+  const text = await res.text().catch(() => "");
+  if (!res.ok) throw oauthError(`Token endpoint → ${res.status}: ${text}`, 502);
+
+  const tokens = JSON.parse(text);
+  if (!tokens || !tokens.access_token) throw oauthError("Token endpoint returned no access_token.", 502);
+  return tokens;
+}
+
+// Refresh tokens may or may not rotate: keep the previous one when the response has none.
+function sealTokens(tokens, context, previousRefreshToken) {
+  const expiresIn = Number(tokens.expires_in);
+  return sealValue("token", {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || previousRefreshToken || null,
+    expiresAt: Number.isFinite(expiresIn) && expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+    scope: tokens.scope || null,
+    resource: context.resource,
+    tokenEndpoint: context.tokenEndpoint,
+    client: context.client
+  });
+}
+
+// --------------------
+// Sealing (AES-256-GCM); `purpose` stops a state blob from being used as a token blob and vice versa
+// --------------------
+
+function sealKey() {
+  const secret = (process.env.MCP_TOKEN_SECRET || "").trim();
+  if (!secret) throw oauthError("Server misconfigured: MCP_TOKEN_SECRET is missing.", 500);
+  return createHash("sha256").update(secret).digest();
+}
+
+function sealValue(purpose, value) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", sealKey(), iv);
+  cipher.setAAD(Buffer.from(purpose));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return SEAL_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64url");
+}
+
+// Returns null for anything that was not sealed by us for this purpose.
+function unsealValue(purpose, sealed) {
+  if (typeof sealed !== "string" || !sealed.startsWith(SEAL_PREFIX)) return null;
+  const key = sealKey();
+  try {
+    const raw = Buffer.from(sealed.slice(SEAL_PREFIX.length), "base64url");
+    const decipher = createDecipheriv("aes-256-gcm", key, raw.subarray(0, 12));
+    decipher.setAAD(Buffer.from(purpose));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    const json = Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+function hashNonce(nonce) {
+  return createHash("sha256").update(String(nonce)).digest("base64url");
+}
+
+function sameString(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+// Cookie header → value of `name` ("" when absent).
+function readCookie(req, name) {
+  const header = String((req.headers && req.headers.cookie) || "");
+  for (const part of header.split(";")) {
+    const eq = part.indexOf("=");
+    if (eq > 0 && part.slice(0, eq).trim() === name) return decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return "";
+}
+
+// path: the callback route, the only place that reads it. SameSite=Lax still sends it on the top-level
+// redirect back from the authorization server. maxAgeSeconds 0 deletes it.
+function nonceCookie(value, path, maxAgeSeconds) {
+  return `${OAUTH_NONCE_COOKIE}=${encodeURIComponent(value)}; Path=${path}; Max-Age=${maxAgeSeconds}; ` +
+    "HttpOnly; Secure; SameSite=Lax";
+}
+
+function oauthError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export {
+  OAUTH_STATE_TTL_MS,
+  OAUTH_NONCE_COOKIE,
+  discoverMcpAuthorization,
+  oauthRedirectUri,
+  beginAuthorization,
+  completeAuthorization,
+  resolveMcpToken,
+  sendMcpError,
+  readCookie,
+  nonceCookie,
+  sealValue,
+  unsealValue
+};
@@ -0,0 +1,517 @@
+import { mcpCallTool } from "./mcp-client.js";
+
+// --------------------
+// Miro MCP table tools (used by the MCP table routes and /api/lovable-readiness)
+// --------------------
+// Tool arguments are built from each tool's input schema, because the Miro MCP server has renamed
+// tools and parameters between releases.
+
+// table_list_rows page size and hard cap on pages (fail loudly instead of returning a partial grid).
+const MCP_TABLE_PAGE_SIZE = 100;
+const MCP_TABLE_MAX_PAGES = 50;
+
+// Rows per MCP write call.
+const ROWS_PER_WRITE = 50;
+
+// Row-writing tool names tried in order.
+const WRITE_ROWS_TOOLS = ["table_sync_rows", "table_add_rows", "table_append_rows", "table_create_rows", "table_insert_rows"];
+
+// --------------------
+// MCP table_list_rows helpers
+// --------------------
+
+function buildTableToolArgs(inputSchema, boardId, tableId) {
+  const args = {};
+
+  const props = (inputSchema && inputSchema.properties && typeof inputSchema.properties === "object")
+    ? Object.keys(inputSchema.properties)
+    : [];
+
+  const has = (k) => props.includes(k);
+
+  // Board
+  if (has("board_id")) args.board_id = boardId;
+  else if (has("boardId")) args.boardId = boardId;
+  else if (has("board")) args.board = boardId;
+
+  // Table (optional: table_create has none yet)
+  if (tableId) {
+    if (has("table_id")) args.table_id = tableId;
+    else if (has("tableId")) args.tableId = tableId;
+    else if (has("table")) args.table = tableId;
+    else if (has("id")) args.id = tableId;
+  }
+
+  // If schema is unknown, use common defaults
+  if (props.length === 0) {
+    args.board_id = boardId;
+    if (tableId) args.table_id = tableId;
+  }
+
+  return args;
+}
+
+function buildTableListArgs(inputSchema, boardId, tableId) {
+  const args = buildTableToolArgs(inputSchema, boardId, tableId);
+
+  const props = (inputSchema && inputSchema.properties && typeof inputSchema.properties === "object")
+    ? Object.keys(inputSchema.properties)
+    : [];
+
+  const has = (k) => props.includes(k);
+
+  // Pagination size
+  if (has("limit")) args.limit = MCP_TABLE_PAGE_SIZE;
+  else if (has("pageSize")) args.pageSize = MCP_TABLE_PAGE_SIZE;
+  else if (has("page_size")) args.page_size = MCP_TABLE_PAGE_SIZE;
+  else if (props.length === 0) args.limit = MCP_TABLE_PAGE_SIZE;
+
+  return args;
+}
+
+function detectTablePaging(inputSchema) {
+  const props = (inputSchema && inputSchema.properties && typeof inputSchema.properties === "object")
+    ? Object.keys(inputSchema.properties)
+    : [];
+
+  const pick = (keys) => keys.find((k) => props.includes(k)) || null;
+
+  // Unknown schema: follow a returned cursor with the most common argument name.
+  if (props.length === 0) {
+    return { cursorKey: "cursor", offsetKey: null, pageKey: null };
+  }
+
+  return {
+    cursorKey: pick(["cursor", "next_cursor", "nextCursor", "page_token", "pageToken", "after"]),
+    offsetKey: pick(["offset", "skip", "start"]),
+    pageKey: pick(["page", "page_number", "pageNumber"])
+  };
+}
+
+async function mcpListAllTableRows(mcp, inputSchema, boardId, tableId) {
+  const baseArgs = buildTableListArgs(inputSchema, boardId, tableId);
+  const paging = detectTablePaging(inputSchema);
+  const pageSize = baseArgs.limit || baseArgs.pageSize || baseArgs.page_size || null;
+
+  let columns = [];
+  const rows = [];
+  const cellColors = [];
+  const rowIds = [];
+  const seenCursors = new Set();
+
+  let cursor = null;
+  let pageCount = 0;
+  let lastCall = null;
+
+  while (true) {
+    if (pageCount >= MCP_TABLE_MAX_PAGES) {
+      throw new Error(
+        `MCP table_list_rows still has more rows after ${MCP_TABLE_MAX_PAGES} pages (${rows.length} rows read). ` +
+        "Refusing to return a partial grid."
+      );
+    }
+
+    const args = Object.assign({}, baseArgs);
+    if (cursor && paging.cursorKey) args[paging.cursorKey] = cursor;
+    if (paging.offsetKey && rows.length) args[paging.offsetKey] = rows.length;
+    if (paging.pageKey && pageCount) args[paging.pageKey] = pageCount + 1;
+
+    const call = await mcpCallTool(mcp, "table_list_rows", args);
+
+    pageCount++;
+    lastCall = call;
+
+    const page = parseTableListRowsCall(call, columns);
+    if (!columns.length) columns = page.columns;
+    for (const r of page.rows) rows.push(r);
+    for (const c of page.cellColors) cellColors.push(c);
+    for (const id of page.rowIds) rowIds.push(id);
+
+    // Cursor-based: the result tells us where to continue.
+    if (page.nextCursor) {
+      if (!paging.cursorKey) {
+        throw new Error("MCP table_list_rows returned a next cursor, but its input schema has no cursor argument.");
+      }
+      if (seenCursors.has(page.nextCursor)) {
+        throw new Error(`MCP table_list_rows returned a repeated cursor after ${pageCount} pages.`);
+      }
+      seenCursors.add(page.nextCursor);
+      cursor = page.nextCursor;
+      continue;
+    }
+
+    // Offset/page-based: continue while the page was full or the result says there is more.
+    if (!page.rows.length) break;
+    if (page.total !== null && rows.length >= page.total) break;
+    if (page.hasMore === false) break;
+
+    const pageWasFull = pageSize !== null && page.rows.length >= pageSize;
+    if (page.hasMore !== true && !pageWasFull) break;
+
+    if (!paging.offsetKey && !paging.pageKey) {
+      if (page.hasMore === true) {
+        throw new Error("MCP table_list_rows reports more rows, but its input schema has no cursor/offset argument.");
+      }
+      // Full page without any paging hints: there may be more rows, and no way to ask for them.
+      throw new Error(
+        `MCP table_list_rows returned a full page (${page.rows.length} rows) without a cursor, and its input schema ` +
+        "has no cursor/offset argument. Refusing to return a possibly partial grid."
+      );
+    }
+  }
+
+  return { columns, rows, cellColors, rowIds, pageCount, firstArgs: baseArgs, lastCall };
+}
+
+function parseTableListRowsCall(callResp, knownColumns) {
+  const empty = { columns: knownColumns || [], rows: [], cellColors: [], rowIds: [], nextCursor: null, hasMore: null, total: null };
+
+  const payload = extractToolPayload(callResp);
+  if (!payload) {
+    return empty;
+  }
+
+  let columns = normalizeColumns(payload.columns || payload.columnMetadata || payload.cols || []);
+  // Follow-up pages may omit the column metadata.
+  if (!columns.length && knownColumns) columns = knownColumns;
+
+  const rowsRaw = payload.rows || payload.data || payload.items || [];
+  const rows = normalizeRows(rowsRaw, columns);
+  const cellColors = normalizeCellColors(rowsRaw, columns);
+  const rowIds = normalizeRowIds(rowsRaw);
+  const pageInfo = extractTablePageInfo(payload);
+
+  return { columns, rows, cellColors, rowIds, nextCursor: pageInfo.nextCursor, hasMore: pageInfo.hasMore, total: pageInfo.total };
+}
+
+function extractToolPayload(callResp) {
+  // Expected: JSON-RPC response with result = CallToolResult
+  if (!callResp || typeof callResp !== "object") {
+    return null;
+  }
+  if (callResp.error) {
+    const msg = callResp.error.message || JSON.stringify(callResp.error);
+    throw new Error(`MCP tools/call error: ${msg}`);
+  }
+
+  const result = callResp.result || {};
+  const content = Array.isArray(result.content) ? result.content : [];
+  const firstText = content.find((c) => c && c.type === "text" && typeof c.text === "string");
+
+  if (result.isError) {
+    const msg = firstText && firstText.text ? firstText.text : "tool reported isError";
+    throw new Error(`MCP tool error: ${msg}`);
+  }
+
+  // Preferred: structuredContent
+  if (result.structuredContent && typeof result.structuredContent === "object") {
+    return result.structuredContent;
+  }
+
+  // Fallback: sometimes content[0].text contains JSON
+  if (firstText && firstText.text) {
+    try {
+      const obj = JSON.parse(firstText.text);
+      if (obj && typeof obj === "object") return obj;
+    } catch {
+      // ignore
+    }
+  }
+
+  return null;
+}
+
+function extractTablePageInfo(payload) {
+  const p = (payload.pagination && typeof payload.pagination === "object") ? payload.pagination : {};
+
+  const str = (v) => (typeof v === "string" && v) ? v : null;
+  const cursorObj = (payload.cursor && typeof payload.cursor === "object") ? payload.cursor : {};
+
+  // Only "next" fields: a plain "cursor" is often the one the request sent.
+  const nextCursor =
+    str(payload.nextCursor) ||
+    str(payload.next_cursor) ||
+    str(cursorObj.next) ||
+    str(p.nextCursor) ||
+    str(p.next_cursor) ||
+    null;
+
+  const boolOf = (...vals) => {
+    for (const v of vals) if (typeof v === "boolean") return v;
+    return null;
+  };
+  const hasMore = boolOf(payload.hasMore, payload.has_more, p.hasMore, p.has_more);
+
+  const numOf = (...vals) => {
+    for (const v of vals) if (typeof v === "number" && Number.isFinite(v)) return v;
+    return null;
+  };
+  const total = numOf(payload.total, payload.totalCount, payload.total_count, p.total, p.totalCount, p.total_count);
+
+  return { nextCursor, hasMore, total };
+}
+
+function normalizeColumns(cols) {
+  const columns = [];
+  if (Array.isArray(cols)) {
+    for (const c of cols) {
+      if (!c) continue;
+      if (typeof c === "string") {
+        columns.push({ id: c, title: c });
+      } else if (typeof c === "object") {
+        const id = (c.id || c.columnId || c.key || c.name || c.title || "").toString();
+        const title = (c.title || c.name || c.label || id || "Column").toString();
+        const column = { id: id || title, title };
+
+        if (typeof c.type === "string") column.type = c.type;
+
+        // Select-type columns: keep options (incl. their colours) to resolve option ids and sticky colours.
+        const options = c.options || c.selectOptions || c.choices || (c.config && c.config.options);
+        if (Array.isArray(options)) column.options = normalizeSelectOptions(options);
+
+        columns.push(column);
+      }
+    }
+  }
+  // Ensure at least 1
+  return columns;
+}
+
+function normalizeSelectOptions(options) {
+  const out = [];
+  for (const o of options) {
+    if (typeof o === "string") {
+      out.push({ id: o, label: o, color: null });
+    } else if (o && typeof o === "object") {
+      const id = String(o.id || o.optionId || o.value || o.label || o.name || "");
+      const label = String(o.label || o.name || o.value || o.title || o.id || "");
+      const color = [o.color, o.fillColor, o.backgroundColor].find((x) => typeof x === "string" && x) || null;
+      out.push({ id: id || label, label: label || id, color });
+    }
+  }
+  return out;
+}
+
+function normalizeRows(rowsRaw, columns) {
+  return rawRowCells(rowsRaw, columns).map((cells) => cells.map((v, i) => cellToText(v, columns[i])));
+}
+
+function normalizeCellColors(rowsRaw, columns) {
+  return rawRowCells(rowsRaw, columns).map((cells) => cells.map((v, i) => cellToColor(v, columns[i])));
+}
+
+// Row ids (needed to update rows in place); null for plain array rows. Same row order as rawRowCells.
+function normalizeRowIds(rowsRaw) {
+  if (!Array.isArray(rowsRaw)) return [];
+  return rowsRaw
+    .filter((r) => r && typeof r === "object")
+    .map((r) => {
+      if (Array.isArray(r)) return null;
+      const id = typeof r.id !== "undefined" ? r.id : (typeof r.row_id !== "undefined" ? r.row_id : r.rowId);
+      return (typeof id === "string" && id) || typeof id === "number" ? String(id) : null;
+    });
+}
+
+function rawRowCells(rowsRaw, columns) {
+  const rows = [];
+  const colIds = columns.map((c) => c.id);
+
+  if (!Array.isArray(rowsRaw)) return rows;
+
+  for (const r of rowsRaw) {
+    const row = [];
+
+    // Case A: array row
+    if (Array.isArray(r)) {
+      for (let i = 0; i < columns.length; i++) {
+        row.push(r[i]);
+      }
+      rows.push(row);
+      continue;
+    }
+
+    // Case B: row.cells array
+    if (r && typeof r === "object" && Array.isArray(r.cells)) {
+      for (let i = 0; i < columns.length; i++) {
+        row.push(r.cells[i]);
+      }
+      rows.push(row);
+      continue;
+    }
+
+    // Case C: row.values object keyed by column id
+    if (r && typeof r === "object" && r.values && typeof r.values === "object") {
+      for (const id of colIds) {
+        row.push(r.values[id]);
+      }
+      rows.push(row);
+      continue;
+    }
+
+    // Case D: row object keyed directly by column id/title
+    if (r && typeof r === "object") {
+      for (const id of colIds) {
+        row.push(r[id]);
+      }
+      rows.push(row);
+      continue;
+    }
+  }
+
+  return rows;
+}
+
+function cellToText(v, column) {
+  if (v === null || typeof v === "undefined") return "";
+  if (typeof v === "string") {
+    const opt = findSelectOption(column, v);
+    return opt ? opt.label.trim() : v.trim();
+  }
+  if (typeof v === "number" || typeof v === "boolean") return String(v);
+
+  // Multi-select and list cells
+  if (Array.isArray(v)) {
+    return v.map((x) => cellToText(x, column)).filter(Boolean).join(", ");
+  }
+
+  if (typeof v === "object") {
+    if (typeof v.text === "string") return v.text.trim();
+    if (typeof v.value === "string") return v.value.trim();
+    if (typeof v.label === "string") return v.label.trim();
+    if (typeof v.name === "string") return v.name.trim();
+    if (typeof v.title === "string") return v.title.trim();
+    if (typeof v.displayValue === "string") return v.displayValue.trim();
+    const opt = findSelectOption(column, v);
+    if (opt) return opt.label.trim();
+    try { return JSON.stringify(v); } catch { return ""; }
+  }
+  return String(v);
+}
+
+function cellToColor(v, column) {
+  if (v === null || typeof v === "undefined") return null;
+
+  if (Array.isArray(v)) {
+    for (const x of v) {
+      const c = cellToColor(x, column);
+      if (c) return c;
+    }
+    return null;
+  }
+
+  if (typeof v === "object") {
+    const own = [v.color, v.fillColor, v.backgroundColor, v.option && v.option.color]
+      .find((x) => typeof x === "string" && x);
+    if (own) return own;
+  }
+
+  const opt = findSelectOption(column, v);
+  return opt && opt.color ? opt.color : null;
+}
+
+function findSelectOption(column, v) {
+  if (!column || !Array.isArray(column.options) || !column.options.length) return null;
+
+  const keys = [];
+  if (typeof v === "string") keys.push(v);
+  else if (v && typeof v === "object") {
+    for (const k of [v.optionId, v.option_id, v.id, v.value, v.label, v.text]) {
+      if (typeof k === "string" && k) keys.push(k);
+    }
+  }
+
+  for (const k of keys) {
+    const opt = column.options.find((o) => o.id === k) || column.options.find((o) => o.label === k);
+    if (opt) return opt;
+  }
+  return null;
+}
+
+// --------------------
+// MCP table write helpers
+// --------------------
+
+function findTool(tools, names) {
+  for (const name of names) {
+    const t = tools.find((x) => x && x.name === name);
+    if (t) return t;
+  }
+  return null;
+}
+
+function findColumn(columns, titleOrId) {
+  const wanted = String(titleOrId || "").trim().toLowerCase();
+  return columns.find((c) => c.title.trim().toLowerCase() === wanted) ||
+    columns.find((c) => c.id.trim().toLowerCase() === wanted) ||
+    null;
+}
+
+function pickRowsKey(inputSchema) {
+  const props = (inputSchema && inputSchema.properties && typeof inputSchema.properties === "object")
+    ? Object.keys(inputSchema.properties)
+    : [];
+  for (const k of ["rows", "data", "items", "values"]) {
+    if (props.includes(k)) return k;
+  }
+  return "rows";
+}
+
+function rowsSchemaItem(inputSchema, rowsKey) {
+  const props = (inputSchema && inputSchema.properties && typeof inputSchema.properties === "object")
+    ? inputSchema.properties
+    : {};
+  const rowsSchema = props[rowsKey];
+  return rowsSchema && rowsSchema.items && typeof rowsSchema.items === "object" ? rowsSchema.items : null;
+}
+
+// Inverse of normalizeRows: pick the row shape the tool schema asks for.
+function denormalizeRows(records, columns, rowItemSchema) {
+  const itemProps = (rowItemSchema && rowItemSchema.properties && typeof rowItemSchema.properties === "object")
+    ? Object.keys(rowItemSchema.properties)
+    : [];
+
+  const valueFor = (record, column) => {
+    for (const key of Object.keys(record)) {
+      if (findColumn([column], key)) return record[key];
+    }
+    return "";
+  };
+
+  return records.map((record) => {
+    // Case A: array row
+    if (rowItemSchema && rowItemSchema.type === "array") {
+      return columns.map((c) => valueFor(record, c));
+    }
+
+    // Case B: row.cells array
+    if (itemProps.includes("cells")) {
+      return { cells: columns.map((c) => valueFor(record, c)) };
+    }
+
+    // Case C: row.values object keyed by column id
+    if (itemProps.includes("values")) {
+      const values = {};
+      for (const c of columns) values[c.id] = valueFor(record, c);
+      return { values };
+    }
+
+    // Case D: row object keyed directly by column id
+    const row = {};
+    for (const c of columns) row[c.id] = valueFor(record, c);
+    return row;
+  });
+}
+
+export {
+  ROWS_PER_WRITE,
+  WRITE_ROWS_TOOLS,
+  mcpListAllTableRows,
+  buildTableToolArgs,
+  extractToolPayload,
+  normalizeColumns,
+  findTool,
+  findColumn,
+  pickRowsKey,
+  rowsSchemaItem,
+  denormalizeRows
+};
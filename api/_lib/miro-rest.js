@@ -0,0 +1,96 @@
+// --------------------
+// Request bodies and Miro REST calls (used by the MCP table routes, /api/mcp and /api/lovable-readiness)
+// --------------------
+
+// 429 / 5xx retries with exponential backoff (a Retry-After header wins when present).
+const MIRO_MAX_RETRIES = 5;
+const MIRO_BACKOFF_BASE_MS = 500;
+const MIRO_BACKOFF_MAX_MS = 20000;
+
+// Vercel may hand over the body parsed, as a string, or not at all (then it is read from the stream).
+async function readJson(req) {
+  if (req.body) {
+    if (typeof req.body === "object") return req.body;
+    if (typeof req.body === "string") return JSON.parse(req.body);
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString("utf8");
+  return raw ? JSON.parse(raw) : {};
+}
+
+async function miroGetJson(url, token) {
+  const text = await miroRequest("GET", url, token);
+  return text ? JSON.parse(text) : null;
+}
+
+async function miroPostJson(url, token, payload, deadline) {
+  const text = await miroRequest("POST", url, token, payload, deadline);
+  return text ? JSON.parse(text) : null;
+}
+
+async function miroPatchJson(url, token, payload, deadline) {
+  const text = await miroRequest("PATCH", url, token, payload, deadline);
+  return text ? JSON.parse(text) : null;
+}
+
+async function miroDelete(url, token, deadline) {
+  await miroRequest("DELETE", url, token, undefined, deadline);
+  return true;
+}
+
+// All Miro REST calls go through here: retries 429 and 5xx with backoff, throws miroError otherwise.
+// deadline (ms timestamp, optional): no retry that would wait past it; the last error is thrown instead.
+async function miroRequest(method, url, token, payload, deadline) {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (typeof payload !== "undefined") headers["Content-Type"] = "application/json";
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url, {
+      method,
+      headers,
+      body: (typeof payload !== "undefined") ? JSON.stringify(payload) : undefined
+    });
+    const text = await res.text().catch(() => "");
+    if (res.ok) return text;
+
+    const retryable = res.status === 429 || res.status >= 500;
+    const delay = retryable ? retryDelayMs(res, attempt) : 0;
+    if (!retryable || attempt >= MIRO_MAX_RETRIES || (deadline && Date.now() + delay >= deadline)) {
+      throw miroError(method, url, res.status, text);
+    }
+    await sleep(delay);
+  }
+}
+
+function retryDelayMs(res, attempt) {
+  const retryAfter = res.headers.get("retry-after");
+  if (retryAfter) {
+    const secs = Number(retryAfter);
+    if (Number.isFinite(secs) && secs >= 0) return Math.min(secs * 1000, MIRO_BACKOFF_MAX_MS);
+    const at = Date.parse(retryAfter);
+    if (Number.isFinite(at)) return Math.min(Math.max(0, at - Date.now()), MIRO_BACKOFF_MAX_MS);
+  }
+  // Exponential backoff with jitter: 0.5s, 1s, 2s, ... (capped).
+  const base = Math.min(MIRO_BACKOFF_BASE_MS * (2 ** attempt), MIRO_BACKOFF_MAX_MS);
+  return base / 2 + Math.random() * (base / 2);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Keep the HTTP status on the error so callers can tell "gone" (404) from real failures.
+function miroError(method, url, status, text) {
+  const err = new Error(`Miro ${method} ${url} → ${status}: ${text}`);
+  err.status = status;
+  return err;
+}
+
+export {
+  readJson,
+  miroGetJson,
+  miroPostJson,
+  miroPatchJson,
+  miroDelete
+};
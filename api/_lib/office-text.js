@@ -0,0 +1,174 @@
+import { inflateRawSync } from "node:zlib";
+
+// --------------------
+// OFFICE TEXT EXTRACTION (no dependencies, best effort)
+// --------------------
+// Word (.docx) and PowerPoint (.pptx) files are ZIP archives of XML parts. This reads the archive's
+// central directory, inflates the parts it needs and pulls out the text runs:
+//   docx: word/document.xml; pages split where Word last rendered a page break (or an explicit one),
+//         so page numbers match the file as it was last saved. Without such marks it is one page.
+//   pptx: one page per slide, in presentation order (ppt/presentation.xml + its relationships).
+// No formatting, charts or embedded images. Legacy .doc/.ppt (OLE) files are not ZIPs and are not read.
+
+// Archives with absurd entry counts are refused, and so is a part that inflates beyond 50 MB (ZIP bomb).
+const ZIP_MAX_ENTRIES = 5000;
+const ZIP_MAX_PART_BYTES = 50 * 1024 * 1024;
+
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+function isZipFile(bytes) {
+  return !!bytes && bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+// Returns { format: "docx" | "pptx", pages: [string] }; throws for other archives.
+function extractOfficePages(bytes) {
+  const zip = readZip(Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes));
+
+  if (zip.has("word/document.xml")) {
+    return { format: "docx", pages: docxPages(zip.read("word/document.xml")) };
+  }
+  if (zip.has("ppt/presentation.xml")) {
+    return { format: "pptx", pages: slidePaths(zip).map((path) => slideText(zip.read(path))) };
+  }
+  throw new Error("ZIP file is neither a Word (.docx) nor a PowerPoint (.pptx) document.");
+}
+
+// --------------------
+// ZIP
+// --------------------
+
+// Central directory only (local headers can lack sizes); no ZIP64, no encryption.
+function readZip(buf) {
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let pos = buf.readUInt32LE(eocd + 16);
+  if (count > ZIP_MAX_ENTRIES) throw new Error(`ZIP has too many entries (${count}).`);
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== 0x02014b50) throw new Error("Broken ZIP central directory.");
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const name = buf.toString("utf8", pos + 46, pos + 46 + nameLength);
+    entries.set(name, {
+      method: buf.readUInt16LE(pos + 10),
+      compressedSize: buf.readUInt32LE(pos + 20),
+      size: buf.readUInt32LE(pos + 24),
+      localOffset: buf.readUInt32LE(pos + 42)
+    });
+    pos += 46 + nameLength + buf.readUInt16LE(pos + 30) + buf.readUInt16LE(pos + 32);
+  }
+
+  return {
+    has: (name) => entries.has(name),
+    read(name) {
+      const e = entries.get(name);
+      if (!e) return "";
+      if (e.size > ZIP_MAX_PART_BYTES) throw new Error(`ZIP part ${name} is too large.`);
+      const local = e.localOffset;
+      if (local + 30 > buf.length || buf.readUInt32LE(local) !== 0x04034b50) throw new Error(`Broken ZIP entry ${name}.`);
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      const data = buf.subarray(start, start + e.compressedSize);
+      if (e.method === 0) return data.toString("utf8");
+      if (e.method === 8) return inflateRawSync(data, { maxOutputLength: ZIP_MAX_PART_BYTES }).toString("utf8");
+      throw new Error(`ZIP part ${name} uses unsupported compression ${e.method}.`);
+    }
+  };
+}
+
+// The record sits at the end, followed by a comment of up to 64 KB.
+function findEndOfCentralDirectory(buf) {
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) return i;
+  }
+  throw new Error("Not a ZIP file (no end of central directory).");
+}
+
+// --------------------
+// docx / pptx
+// --------------------
+
+const DOCX_TOKEN_RE = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(\s[^>]*)?\/>|<w:lastRenderedPageBreak\/>|<\/w:p>/g;
+
+function docxPages(xml) {
+  const pages = [];
+  let current = "";
+  let explicitBreak = false;
+  const breakPage = () => {
+    pages.push(current);
+    current = "";
+  };
+
+  for (const m of xml.matchAll(DOCX_TOKEN_RE)) {
+    const token = m[0];
+    if (typeof m[1] === "string") current += decodeXml(m[1]);
+    else if (token === "<w:tab/>") current += "\t";
+    else if (token === "</w:p>") current += "\n";
+    else if (token === "<w:lastRenderedPageBreak/>") {
+      // Word also marks the page that an explicit break started; that is not another page.
+      if (!(explicitBreak && !current.trim())) breakPage();
+    } else if (/w:type="page"/.test(m[2] || "")) {
+      breakPage();
+      explicitBreak = true;
+      continue;
+    } else current += "\n";
+    if (current.trim()) explicitBreak = false;
+  }
+  pages.push(current);
+
+  // A break at the very end leaves an empty page behind.
+  while (pages.length > 1 && !pages[pages.length - 1].trim()) pages.pop();
+  return pages.map(cleanText);
+}
+
+// Slide part paths in presentation order; falls back to slide number order.
+function slidePaths(zip) {
+  const rels = new Map();
+  for (const m of zip.read("ppt/_rels/presentation.xml.rels").matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = attr(m[0], "Id");
+    const target = attr(m[0], "Target");
+    if (id && target) rels.set(id, target.startsWith("/") ? target.slice(1) : `ppt/${target}`);
+  }
+
+  const ordered = [];
+  for (const m of zip.read("ppt/presentation.xml").matchAll(/<p:sldId\b[^>]*>/g)) {
+    const path = rels.get(attr(m[0], "r:id"));
+    if (path && zip.has(path)) ordered.push(path);
+  }
+  if (ordered.length) return ordered;
+
+  const numbered = [];
+  for (let n = 1; zip.has(`ppt/slides/slide${n}.xml`); n++) numbered.push(`ppt/slides/slide${n}.xml`);
+  return numbered;
+}
+
+function slideText(xml) {
+  let text = "";
+  for (const m of xml.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>|<a:br\/>|<\/a:p>/g)) {
+    text += typeof m[1] === "string" ? decodeXml(m[1]) : "\n";
+  }
+  return cleanText(text);
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? decodeXml(m[1]) : "";
+}
+
+function decodeXml(s) {
+  return s.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (all, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    return XML_ENTITIES[name] || all;
+  });
+}
+
+function cleanText(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+export { isZipFile, extractOfficePages };
@@ -0,0 +1,522 @@
+// --------------------
+// OKR CATALOG (structured output of the PDF analysis)
+// --------------------
+// The model answers with JSON matching OKR_CATALOG_SCHEMA (Responses API, strict json_schema).
+// validateOkrCatalog() checks it and assigns ids by position (O1…, KR1…); verifyOkrEvidence()
+// marks each KR by looking its snippet up in the PDF text; renderOkrMarkdown() turns the checked
+// catalog into the doc text, so the same catalog always gives the same Markdown.
+//
+// Several PDFs can be analyzed together. Each one is labelled D1, D2, … in the model input, and
+// evidence names its document by that id; catalog.documents maps the ids back to titles and items.
+
+const OKR_TAGS = ["EXPLICIT", "INFERRED"];
+
+// Prompt rules, not schema rules: breaking them gives warnings, not a failed run.
+const OKR_OBJECTIVES_RANGE = [5, 9];
+const OKR_KEY_RESULTS_RANGE = [3, 5];
+const OKR_SNIPPET_MAX_WORDS = 20;
+
+// Evidence check: share of the snippet's words (numbers count double) that must occur close together
+// on a page. Snippets are often paraphrased, so this is a word match, not a quote match.
+const EVIDENCE_MIN_SCORE = 0.6;
+const EVIDENCE_STEM_LENGTH = 6;
+const EVIDENCE_STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "that", "this", "are", "was", "will", "into", "its", "our", "their", "by",
+  "der", "die", "das", "und", "mit", "von", "für", "den", "dem", "des", "ein", "eine", "wird", "werden", "auf", "bis"
+]);
+
+const EVIDENCE_MARKS = {
+  verified: "✓ verified",
+  wrong_page: "⚠ wrong page",
+  not_found: "✗ not found",
+  unchecked: "– unchecked"
+};
+
+const NULLABLE_STRING = { type: ["string", "null"] };
+
+const EVIDENCE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    document: { type: "string", description: "Id of the source document (D1, D2, …) as labelled in the input." },
+    pages: { type: "array", items: { type: "integer" }, description: "1-based page numbers within that document." },
+    snippet: { type: "string", description: "Evidence, at most 20 words; paraphrase preferred." }
+  },
+  required: ["document", "pages", "snippet"]
+};
+
+// Strict mode: every property is required and nullable values use a null type.
+const OKR_CATALOG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    company: NULLABLE_STRING,
+    strategyName: NULLABLE_STRING,
+    publicationDate: NULLABLE_STRING,
+    timeHorizon: NULLABLE_STRING,
+    objectives: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          title: { type: "string" },
+          intent: { type: "string", description: "1–2 sentences." },
+          evidence: EVIDENCE_SCHEMA,
+          tag: { type: "string", enum: OKR_TAGS },
+          keyResults: {
+            type: "array",
+            items: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                outcome: { type: "string" },
+                baseline: NULLABLE_STRING,
+                target: { type: "string" },
+                due: NULLABLE_STRING,
+                evidence: EVIDENCE_SCHEMA,
+                tag: { type: "string", enum: OKR_TAGS }
+              },
+              required: ["outcome", "baseline", "target", "due", "evidence", "tag"]
+            }
+          }
+        },
+        required: ["title", "intent", "evidence", "tag", "keyResults"]
+      }
+    },
+    assumptions: { type: "array", items: { type: "string" } }
+  },
+  required: ["company", "strategyName", "publicationDate", "timeHorizon", "objectives", "assumptions"]
+};
+
+// Appended to every prompt (board prompts may still ask for Markdown).
+const OKR_JSON_INSTRUCTIONS = [
+  "OUTPUT (OVERRIDES ANY FORMAT INSTRUCTIONS ABOVE)",
+  "Answer with JSON that matches the provided schema, nothing else.",
+  "- company / strategyName / publicationDate / timeHorizon: null if not stated.",
+  `- ${OKR_OBJECTIVES_RANGE[0]}–${OKR_OBJECTIVES_RANGE[1]} objectives, ${OKR_KEY_RESULTS_RANGE[0]}–${OKR_KEY_RESULTS_RANGE[1]} keyResults each, in priority order.`,
+  "- evidence.document: id of the source document (D1, D2, … as labelled before each file).",
+  "- evidence.pages: 1-based page numbers within that document; evidence.snippet: <= 20 words.",
+  "- tag: EXPLICIT if directly stated, INFERRED if you created a measurable proxy.",
+  "- baseline / due: null if not stated. assumptions: short list, may be empty."
+].join("\n");
+
+// Documents too long for one call are read in parts (map-reduce). Each part is asked for candidates with
+// OKR_CANDIDATE_PROMPT (same schema, no count rules); a last call merges all candidates, with
+// OKR_MERGE_INSTRUCTIONS in front of the user's prompt.
+const OKR_CANDIDATE_PROMPT = [
+  "TASK",
+  "You see only part of the document(s): the pages given with each document. Collect every candidate objective and key result that these pages support. A later step builds the OKR catalog from the candidates of all parts.",
+  "- Do NOT invent facts, numbers, dates, or commitments; only what these pages state or directly imply.",
+  "- Keep baselines, targets and due dates as stated.",
+  "",
+  "OUTPUT",
+  "Answer with JSON that matches the provided schema, nothing else.",
+  "- company / strategyName / publicationDate / timeHorizon: null if not stated on these pages.",
+  "- As many objectives and keyResults as these pages support; none is fine, and an objective may have no keyResults.",
+  "- evidence.document: id of the source document (D1, D2, …).",
+  "- evidence.pages: the numbers of the [Page N] markers (pages of the whole document); evidence.snippet: <= 20 words.",
+  "- tag: EXPLICIT if directly stated, INFERRED if you created a measurable proxy.",
+  "- baseline / due: null if not stated. assumptions: short list, may be empty."
+].join("\n");
+
+const OKR_MERGE_INSTRUCTIONS = [
+  "MERGE",
+  "The document(s) were too long to read at once and were read in parts; the JSON above lists the candidates found in each part.",
+  "Build the catalog from these candidates only, following the task below:",
+  "- Merge candidates that mean the same thing and keep the best-supported evidence.",
+  "- Copy evidence.document and evidence.pages from the candidates; do not renumber pages.",
+  "- Take company, strategy name, publication date and time horizon from the parts that state them."
+].join("\n");
+
+// Returns { catalog, errors, warnings }. catalog is null when there are errors.
+// documents: [{ id: "D1", title, ... }] in input order; the default is a single document D1.
+function validateOkrCatalog(raw, documents) {
+  const errors = [];
+  const warnings = [];
+  const docs = Array.isArray(documents) && documents.length ? documents : [{ id: "D1", title: null }];
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { catalog: null, errors: ["Catalog is not a JSON object."], warnings };
+  }
+
+  const catalog = {
+    company: nullableString(raw.company, "company", errors),
+    strategyName: nullableString(raw.strategyName, "strategyName", errors),
+    publicationDate: nullableString(raw.publicationDate, "publicationDate", errors),
+    timeHorizon: nullableString(raw.timeHorizon, "timeHorizon", errors),
+    documents: docs.map((d) => ({ ...d })),
+    objectives: [],
+    assumptions: []
+  };
+
+  if (Array.isArray(raw.assumptions)) {
+    raw.assumptions.forEach((a, i) => {
+      if (typeof a !== "string") errors.push(`assumptions[${i}] must be a string.`);
+      else if (a.trim()) catalog.assumptions.push(a.trim());
+    });
+  } else {
+    errors.push("assumptions must be an array.");
+  }
+
+  if (!Array.isArray(raw.objectives) || !raw.objectives.length) {
+    errors.push("objectives must be a non-empty array.");
+    return { catalog: null, errors, warnings };
+  }
+
+  raw.objectives.forEach((o, i) => {
+    const id = `O${i + 1}`;
+    if (!o || typeof o !== "object") {
+      errors.push(`${id} is not an object.`);
+      return;
+    }
+
+    const objective = {
+      id,
+      title: requiredString(o.title, `${id}.title`, errors),
+      intent: requiredString(o.intent, `${id}.intent`, errors),
+      evidence: checkEvidence(o.evidence, id, docs, errors, warnings),
+      tag: checkTag(o.tag, id, errors),
+      keyResults: []
+    };
+
+    const krs = Array.isArray(o.keyResults) ? o.keyResults : null;
+    if (!krs || !krs.length) {
+      errors.push(`${id}.keyResults must be a non-empty array.`);
+    } else {
+      krs.forEach((k, j) => {
+        const krId = `KR${j + 1}`;
+        const path = `${id}.${krId}`;
+        if (!k || typeof k !== "object") {
+          errors.push(`${path} is not an object.`);
+          return;
+        }
+        objective.keyResults.push({
+          id: krId,
+          outcome: requiredString(k.outcome, `${path}.outcome`, errors),
+          baseline: nullableString(k.baseline, `${path}.baseline`, errors),
+          target: requiredString(k.target, `${path}.target`, errors),
+          due: nullableString(k.due, `${path}.due`, errors),
+          evidence: checkEvidence(k.evidence, path, docs, errors, warnings),
+          tag: checkTag(k.tag, path, errors)
+        });
+      });
+
+      const [minKr, maxKr] = OKR_KEY_RESULTS_RANGE;
+      if (krs.length < minKr || krs.length > maxKr) {
+        warnings.push(`${id} has ${krs.length} key results (expected ${minKr}–${maxKr}).`);
+      }
+    }
+
+    catalog.objectives.push(objective);
+  });
+
+  const [minO, maxO] = OKR_OBJECTIVES_RANGE;
+  if (raw.objectives.length < minO || raw.objectives.length > maxO) {
+    warnings.push(`${raw.objectives.length} objectives (expected ${minO}–${maxO}).`);
+  }
+
+  return { catalog: errors.length ? null : catalog, errors, warnings };
+}
+
+// Adds keyResult.verification = { status, score, document, pages } to every KR of the (validated) catalog:
+//   verified    the snippet is on a cited page of the cited document
+//   wrong_page  it is on other page(s), possibly of another document (document/pages: where it was found, best first)
+//   not_found   it is in none of the documents
+//   unchecked   no snippet, or the cited document has no extractable text (e.g. scanned, image)
+// pageTexts: { [documentId]: one string per page, or null when extraction failed }. Returns the summary.
+function verifyOkrEvidence(catalog, pageTexts) {
+  const docs = catalog.documents.map((d) => {
+    const texts = pageTexts && Array.isArray(pageTexts[d.id]) ? pageTexts[d.id] : [];
+    const pages = texts.map(evidenceTokens);
+    return { id: d.id, pages, hasText: pages.some((p) => p.length > 0) };
+  });
+  const summary = {
+    pageCount: 0,
+    textPageCount: 0,
+    documents: docs.map((d) => ({
+      id: d.id,
+      pageCount: d.pages.length,
+      textPageCount: d.pages.filter((p) => p.length > 0).length
+    })),
+    verified: 0,
+    wrongPage: 0,
+    notFound: 0,
+    unchecked: 0
+  };
+  for (const d of summary.documents) {
+    summary.pageCount += d.pageCount;
+    summary.textPageCount += d.textPageCount;
+  }
+
+  for (const o of catalog.objectives) {
+    for (const k of o.keyResults) {
+      const snippet = [...new Set(evidenceTokens(k.evidence.snippet))];
+      // An unknown document (null) is looked up in all of them.
+      const citedDoc = docs.find((d) => d.id === k.evidence.document);
+      if (!summary.textPageCount || !snippet.length || (citedDoc && !citedDoc.hasText)) {
+        k.verification = { status: "unchecked", score: null, document: k.evidence.document, pages: [] };
+        summary.unchecked++;
+        continue;
+      }
+
+      const hits = [];
+      for (const d of docs) {
+        d.pages.forEach((p, i) => hits.push({ document: d.id, page: i + 1, score: windowScore(p, snippet) }));
+      }
+
+      const cited = hits.filter((h) => h.document === k.evidence.document && k.evidence.pages.includes(h.page));
+      const bestCited = cited.length ? Math.max(...cited.map((h) => h.score)) : 0;
+
+      if (bestCited >= EVIDENCE_MIN_SCORE) {
+        k.verification = {
+          status: "verified",
+          score: round2(bestCited),
+          document: k.evidence.document,
+          pages: cited.filter((h) => h.score >= EVIDENCE_MIN_SCORE).map((h) => h.page)
+        };
+        summary.verified++;
+        continue;
+      }
+
+      // Best hit first; on a tie the cited document wins, then the lower page.
+      const found = hits
+        .filter((h) => h.score >= EVIDENCE_MIN_SCORE)
+        .sort((x, y) => (y.score - x.score) ||
+          ((y.document === k.evidence.document) - (x.document === k.evidence.document)) ||
+          (x.page - y.page));
+
+      if (found.length) {
+        const document = found[0].document;
+        k.verification = {
+          status: "wrong_page",
+          score: round2(found[0].score),
+          document,
+          pages: found.filter((h) => h.document === document).slice(0, 3).map((h) => h.page)
+        };
+        summary.wrongPage++;
+      } else {
+        k.verification = {
+          status: "not_found",
+          score: round2(Math.max(0, ...hits.map((h) => h.score))),
+          document: k.evidence.document,
+          pages: []
+        };
+        summary.notFound++;
+      }
+    }
+  }
+  return summary;
+}
+
+// Doc body below the "# OKR Catalog — <title>" heading; same layout the Markdown prompt used to ask for.
+// verification: summary from verifyOkrEvidence (optional).
+function renderOkrMarkdown(catalog, verification) {
+  const lines = [
+    `- Company: ${mdValue(catalog.company)}`,
+    `- Strategy name: ${mdValue(catalog.strategyName)}`,
+    `- Publication date: ${mdValue(catalog.publicationDate)}`,
+    `- Time horizon: ${mdValue(catalog.timeHorizon)}`
+  ];
+  if (catalog.documents.length > 1) {
+    lines.push(`- Sources: ${catalog.documents.map((d) => `${d.id} ${mdValue(d.title)}`).join("; ")}`);
+  }
+  if (verification) lines.push(`- Evidence check: ${verificationLine(verification)}`);
+
+  for (const o of catalog.objectives) {
+    lines.push(
+      "",
+      `## Objective ${o.id}: ${mdInline(o.title)}`,
+      `**Intent:** ${mdInline(o.intent)}`,
+      `**Evidence:** ${mdEvidence(catalog, o.evidence)} | Tag: {${o.tag}}`,
+      "**Key Results:**"
+    );
+    for (const k of o.keyResults) {
+      lines.push(
+        `- **${k.id}:** ${mdInline(k.outcome)}` +
+        ` | Baseline: ${k.baseline === null ? "n/a" : mdInline(k.baseline)}` +
+        ` | Target: ${mdInline(k.target)}` +
+        ` | Due: ${k.due === null ? "n/a" : mdInline(k.due)}` +
+        ` | Evidence: ${mdEvidence(catalog, k.evidence)}` +
+        ` | Tag: {${k.tag}}` +
+        (k.verification ? ` | Check: ${verificationMark(catalog, k)}` : "")
+      );
+    }
+  }
+
+  if (verification) {
+    const review = [];
+    for (const o of catalog.objectives) {
+      for (const k of o.keyResults) {
+        if (k.verification && (k.verification.status === "wrong_page" || k.verification.status === "not_found")) {
+          review.push(`- ${o.id}.${k.id}: ${verificationMark(catalog, k)} (cited ${mdInline(evidenceSource(catalog, k.evidence))})`);
+        }
+      }
+    }
+    lines.push("", "## Evidence check", verificationLine(verification));
+    if (review.length) lines.push("", "**To review:**", ...review);
+  }
+
+  if (catalog.assumptions.length) {
+    lines.push("", "## Assumptions");
+    for (const a of catalog.assumptions) lines.push(`- ${mdInline(a)}`);
+  }
+
+  return lines.join("\n");
+}
+
+// "✓ verified" / "⚠ wrong page (found p.7, 9)" / "⚠ wrong page (found in Annual Report p.4)" / "✗ not found" / "– unchecked"
+function verificationMark(catalog, k) {
+  const v = k.verification;
+  const mark = EVIDENCE_MARKS[v.status] || v.status;
+  if (v.status !== "wrong_page" || !v.pages.length) return mark;
+  if (v.document === k.evidence.document) return `${mark} (found p.${v.pages.join(", ")})`;
+  return `${mark} (found in ${mdInline(evidenceSource(catalog, { document: v.document, pages: v.pages }))})`;
+}
+
+function verificationLine(summary) {
+  const total = summary.verified + summary.wrongPage + summary.notFound + summary.unchecked;
+  const from = summary.documents.length > 1 ? "the PDFs" : "the PDF";
+  if (!summary.textPageCount) return `not possible, no text could be extracted from ${from} (${total} KRs unchecked).`;
+  return `${summary.verified} of ${total} KR snippets verified, ${summary.wrongPage} on another page, ` +
+    `${summary.notFound} not found, ${summary.unchecked} unchecked (${summary.textPageCount} of ${summary.pageCount} pages with text).`;
+}
+
+// --------------------
+// Helpers
+// --------------------
+
+// Lowercased words without accents and stopwords; long words cut to a common stem.
+function evidenceTokens(text) {
+  const words = String(text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter((w) => /\d/.test(w) || (w.length >= 3 && !EVIDENCE_STOPWORDS.has(w)))
+    .map((w) => (/\d/.test(w) ? w : w.slice(0, EVIDENCE_STEM_LENGTH)));
+}
+
+// Best weighted share of the snippet words inside any window of about twice the snippet length.
+function windowScore(pageTokens, snippet) {
+  if (!pageTokens.length) return 0;
+  const weight = (t) => (/\d/.test(t) ? 2 : 1);
+  const wanted = new Set(snippet);
+  const total = snippet.reduce((sum, t) => sum + weight(t), 0);
+  const size = Math.max(10, 2 * snippet.length);
+
+  const counts = new Map();
+  let present = 0;
+  let best = 0;
+  for (let i = 0; i < pageTokens.length; i++) {
+    const t = pageTokens[i];
+    if (wanted.has(t)) {
+      counts.set(t, (counts.get(t) || 0) + 1);
+      if (counts.get(t) === 1) present += weight(t);
+    }
+    const out = i - size;
+    if (out >= 0 && wanted.has(pageTokens[out])) {
+      const u = pageTokens[out];
+      counts.set(u, counts.get(u) - 1);
+      if (counts.get(u) === 0) present -= weight(u);
+    }
+    if (present > best) best = present;
+  }
+  return best / total;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function requiredString(v, path, errors) {
+  if (typeof v !== "string" || !v.trim()) {
+    errors.push(`${path} must be a non-empty string.`);
+    return "";
+  }
+  return v.trim();
+}
+
+// "" counts as not stated.
+function nullableString(v, path, errors) {
+  if (v === null || typeof v === "undefined") return null;
+  if (typeof v !== "string") {
+    errors.push(`${path} must be a string or null.`);
+    return null;
+  }
+  return v.trim() || null;
+}
+
+function checkTag(v, path, errors) {
+  const tag = typeof v === "string" ? v.trim().replace(/^\{|\}$/g, "").toUpperCase() : "";
+  if (!OKR_TAGS.includes(tag)) {
+    errors.push(`${path}.tag must be ${OKR_TAGS.join(" or ")}.`);
+    return "";
+  }
+  return tag;
+}
+
+// Pages end up sorted and unique; a missing page or an over-long snippet is only a warning.
+// An unknown document id is a warning too: with one document it is that one, otherwise it stays null.
+function checkEvidence(v, path, docs, errors, warnings) {
+  if (!v || typeof v !== "object" || !Array.isArray(v.pages) || typeof v.snippet !== "string") {
+    errors.push(`${path}.evidence must be { document: string, pages: [integer], snippet: string }.`);
+    return { document: null, pages: [], snippet: "" };
+  }
+
+  const wanted = typeof v.document === "string" ? v.document.trim().toUpperCase() : "";
+  let document = docs.some((d) => d.id === wanted) ? wanted : null;
+  if (!document) {
+    warnings.push(`${path} cites an unknown document "${wanted}".`);
+    if (docs.length === 1) document = docs[0].id;
+  }
+
+  const bad = v.pages.filter((p) => !Number.isInteger(p) || p < 1);
+  if (bad.length) errors.push(`${path}.evidence.pages must be page numbers >= 1 (got ${bad.join(", ")}).`);
+
+  const pages = [...new Set(v.pages.filter((p) => Number.isInteger(p) && p >= 1))].sort((a, b) => a - b);
+  const snippet = v.snippet.replace(/\s+/g, " ").trim();
+
+  if (!pages.length) warnings.push(`${path} cites no source page.`);
+  if (!snippet) warnings.push(`${path} has no evidence snippet.`);
+  else if (snippet.split(" ").length > OKR_SNIPPET_MAX_WORDS) {
+    warnings.push(`${path} evidence snippet is longer than ${OKR_SNIPPET_MAX_WORDS} words.`);
+  }
+
+  return { document, pages, snippet };
+}
+
+function mdValue(v) {
+  return v === null ? "not stated" : mdInline(v);
+}
+
+function mdEvidence(catalog, evidence) {
+  const source = mdInline(evidenceSource(catalog, evidence));
+  return evidence.snippet ? `${source} ${mdInline(evidence.snippet)}` : source;
+}
+
+// "p.3, 4"; with several documents prefixed by the document title ("Annual Report 2025 p.3, 4").
+function evidenceSource(catalog, evidence) {
+  const pages = evidence.pages.length ? `p.${evidence.pages.join(", ")}` : "p.n/a";
+  if (catalog.documents.length < 2) return pages;
+  const doc = catalog.documents.find((d) => d.id === evidence.document);
+  if (!doc) return `unknown document ${pages}`;
+  return `${doc.title || doc.id} ${pages}`;
+}
+
+// One line, and no "|" breaking the KR field separators.
+function mdInline(s) {
+  return String(s || "").replace(/\s+/g, " ").replaceAll("|", "\\|").trim();
+}
+
+export {
+  OKR_CATALOG_SCHEMA,
+  OKR_JSON_INSTRUCTIONS,
+  OKR_CANDIDATE_PROMPT,
+  OKR_MERGE_INSTRUCTIONS,
+  validateOkrCatalog,
+  verifyOkrEvidence,
+  renderOkrMarkdown,
+  evidenceSource
+};
@@ -0,0 +1,479 @@
+import { inflateSync, constants as zlibConstants } from "node:zlib";
+
+// --------------------
+// PDF TEXT EXTRACTION (no dependencies, best effort)
+// --------------------
+// Enough of a PDF reader to get the text of each page for checks (e.g. evidence snippets):
+// objects (also inside object streams), the page tree, FlateDecode streams, text operators, and
+// ToUnicode CMaps for embedded/CID fonts. No layout analysis: text comes in content-stream order,
+// one line per text line. Scanned pages (images only) give "".
+//
+// The xref table is not read: objects are found by scanning for "n g obj", later definitions win
+// (incremental updates append to the file).
+
+// Page-tree and form nesting is capped (reference loops), and so is each inflated stream: a small
+// compressed stream may expand to gigabytes; past the cap it counts as unreadable.
+const PDF_MAX_PAGES = 2000;
+const PDF_MAX_XOBJECT_DEPTH = 5;
+const PDF_MAX_TREE_DEPTH = 64;
+const PDF_MAX_STREAM_BYTES = 32 * 1024 * 1024;
+
+// Bytes 0x80–0x9F of WinAnsiEncoding that differ from Latin-1.
+const CP1252_HIGH = {
+  0x80: "€", 0x82: "‚", 0x83: "ƒ", 0x84: "„", 0x85: "…", 0x86: "†", 0x87: "‡", 0x88: "ˆ", 0x89: "‰",
+  0x8a: "Š", 0x8b: "‹", 0x8c: "Œ", 0x8e: "Ž", 0x91: "‘", 0x92: "’", 0x93: "“", 0x94: "”", 0x95: "•",
+  0x96: "–", 0x97: "—", 0x98: "˜", 0x99: "™", 0x9a: "š", 0x9b: "›", 0x9c: "œ", 0x9e: "ž", 0x9f: "Ÿ"
+};
+
+// TJ offsets below this (thousandths of a text unit) are read as a word gap.
+const TJ_SPACE_THRESHOLD = -200;
+
+// Returns one string per page (in page order).
+function extractPdfPages(bytes) {
+  const pdf = loadPdf(Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes));
+  const pages = collectPages(pdf);
+  return pages.map((page) => {
+    try {
+      return cleanPageText(pageText(pdf, page));
+    } catch {
+      return "";
+    }
+  });
+}
+
+// --------------------
+// Objects
+// --------------------
+
+function loadPdf(buf) {
+  const src = buf.toString("latin1");
+  if (!src.startsWith("%PDF")) throw new Error("Not a PDF (missing %PDF header).");
+
+  const pdf = { buf, src, offsets: new Map(), inStreams: new Map(), cache: new Map() };
+
+  const re = /(\d+)\s+(\d+)\s+obj\b/g;
+  let m;
+  while ((m = re.exec(src))) {
+    pdf.offsets.set(Number(m[1]), re.lastIndex);
+  }
+
+  // Object streams (PDF 1.5+): register the objects they contain unless defined directly.
+  for (const [num, pos] of pdf.offsets) {
+    if (!src.slice(pos, pos + 400).includes("/ObjStm")) continue;
+    let stm;
+    try {
+      stm = getObject(pdf, num);
+    } catch {
+      continue;
+    }
+    if (!stm || !stm.stream || stm.dict.Type !== "/ObjStm") continue;
+    const data = decodeStream(pdf, stm);
+    if (!data) continue;
+
+    const text = data.toString("latin1");
+    const first = resolve(pdf, stm.dict.First);
+    const n = resolve(pdf, stm.dict.N);
+    const lexer = createLexer(text, 0);
+    for (let i = 0; i < n; i++) {
+      const objNum = lexer.next();
+      const offset = lexer.next();
+      if (typeof objNum !== "number" || typeof offset !== "number") break;
+      if (!pdf.offsets.has(objNum) && !pdf.inStreams.has(objNum)) {
+        pdf.inStreams.set(objNum, { text, pos: first + offset });
+      }
+    }
+  }
+  return pdf;
+}
+
+// Value of object `num`; streams come back as { dict, stream: { start, end } }.
+function getObject(pdf, num) {
+  if (pdf.cache.has(num)) return pdf.cache.get(num);
+  pdf.cache.set(num, null); // reference loops resolve to null
+
+  let value = null;
+  if (pdf.offsets.has(num)) {
+    const lexer = createLexer(pdf.src, pdf.offsets.get(num));
+    value = lexer.next();
+    const after = lexer.pos;
+    const sm = /^\s*stream\r?\n/.exec(pdf.src.slice(after, after + 20));
+    if (sm && value && typeof value === "object" && !Array.isArray(value)) {
+      const start = after + sm[0].length;
+      value = { dict: value, stream: { start, end: streamEnd(pdf, value, start) } };
+    }
+  } else if (pdf.inStreams.has(num)) {
+    const { text, pos } = pdf.inStreams.get(num);
+    value = createLexer(text, pos).next();
+  }
+
+  pdf.cache.set(num, value);
+  return value;
+}
+
+function streamEnd(pdf, dict, start) {
+  const length = resolve(pdf, dict.Length);
+  if (typeof length === "number" && length >= 0 && start + length <= pdf.src.length) {
+    const tail = pdf.src.slice(start + length, start + length + 20);
+    if (/^\s*endstream/.test(tail)) return start + length;
+  }
+  const end = pdf.src.indexOf("endstream", start);
+  return end < 0 ? pdf.src.length : end;
+}
+
+function resolve(pdf, v) {
+  for (let i = 0; i < 16 && v && typeof v === "object" && typeof v.ref === "number"; i++) {
+    v = getObject(pdf, v.ref);
+  }
+  return v;
+}
+
+function decodeStream(pdf, obj) {
+  let data = pdf.buf.subarray(obj.stream.start, obj.stream.end);
+  const filter = resolve(pdf, obj.dict.Filter);
+  const filters = Array.isArray(filter) ? filter.map((f) => resolve(pdf, f)) : (filter ? [filter] : []);
+
+  for (const f of filters) {
+    if (f === "/FlateDecode" || f === "/Fl") {
+      try {
+        data = inflateSync(data, { finishFlush: zlibConstants.Z_SYNC_FLUSH, maxOutputLength: PDF_MAX_STREAM_BYTES });
+      } catch {
+        return null;
+      }
+    } else {
+      return null; // images (DCT, JBIG2…) and rare text filters: nothing to read
+    }
+  }
+  return data;
+}
+
+// --------------------
+// Lexer (objects and content streams)
+// --------------------
+// Values: numbers, "/Name" strings, { str: Buffer }, arrays, plain-object dicts (keys without "/"),
+// { ref: n }, true/false/null, and { op: "Tj" } for content-stream operators.
+
+const SPACE_RE = /(?:[\s\0]+|%[^\r\n]*)+/y;
+const NAME_RE = /\/[^\s\0()<>[\]{}/%]*/y;
+const WORD_RE = /[^\s\0()<>[\]{}/%]+/y;
+const REF_TAIL_RE = /\s+(\d+)\s+R(?![^\s\0()<>[\]{}/%])/y;
+
+function createLexer(text, pos) {
+  const lexer = { pos, next: () => readValue() };
+
+  // Sticky regex at the current position; advances past the match.
+  function eat(re) {
+    re.lastIndex = lexer.pos;
+    const m = re.exec(text);
+    if (m) lexer.pos = re.lastIndex;
+    return m;
+  }
+
+  function skipSpace() {
+    eat(SPACE_RE);
+  }
+
+  function readValue() {
+    skipSpace();
+    if (lexer.pos >= text.length) return undefined;
+    const c = text[lexer.pos];
+
+    if (c === "<" && text[lexer.pos + 1] === "<") {
+      lexer.pos += 2;
+      const dict = {};
+      for (;;) {
+        skipSpace();
+        if (lexer.pos >= text.length) return dict;
+        if (text[lexer.pos] === ">" && text[lexer.pos + 1] === ">") {
+          lexer.pos += 2;
+          return dict;
+        }
+        const key = readValue();
+        if (typeof key !== "string" || !key.startsWith("/")) return dict;
+        dict[key.slice(1)] = readValue();
+      }
+    }
+    if (c === "<") return readHexString();
+    if (c === "[") {
+      lexer.pos++;
+      const arr = [];
+      for (;;) {
+        skipSpace();
+        if (lexer.pos >= text.length) return arr;
+        if (text[lexer.pos] === "]") {
+          lexer.pos++;
+          return arr;
+        }
+        arr.push(readValue());
+      }
+    }
+    if (c === "(") return readLiteralString();
+    if (c === "/") {
+      const m = eat(NAME_RE);
+      return m[0].replace(/#([0-9a-fA-F]{2})/g, (x, h) => String.fromCharCode(parseInt(h, 16)));
+    }
+    if (c === ">" || c === "]" || c === ")" || c === "{" || c === "}") {
+      lexer.pos++;
+      return readValue();
+    }
+
+    const word = eat(WORD_RE)[0];
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      const n = Number(word);
+      // "n g R" is a reference.
+      if (/^\d+$/.test(word)) {
+        if (eat(REF_TAIL_RE)) return { ref: n };
+      }
+      return n;
+    }
+    if (word === "true") return true;
+    if (word === "false") return false;
+    if (word === "null") return null;
+    return { op: word };
+  }
+
+  function readHexString() {
+    const end = text.indexOf(">", lexer.pos);
+    const hex = text.slice(lexer.pos + 1, end < 0 ? text.length : end).replace(/[^0-9a-fA-F]/g, "");
+    lexer.pos = end < 0 ? text.length : end + 1;
+    return { str: Buffer.from(hex.length % 2 ? hex + "0" : hex, "hex") };
+  }
+
+  function readLiteralString() {
+    const out = [];
+    let depth = 0;
+    lexer.pos++;
+    while (lexer.pos < text.length) {
+      const c = text[lexer.pos++];
+      if (c === "\\") {
+        const e = text[lexer.pos++];
+        if (e === "n") out.push(10);
+        else if (e === "r") out.push(13);
+        else if (e === "t") out.push(9);
+        else if (e === "b") out.push(8);
+        else if (e === "f") out.push(12);
+        else if (e === "\r") {
+          if (text[lexer.pos] === "\n") lexer.pos++;
+        } else if (e === "\n") {
+          // line continuation
+        } else if (e >= "0" && e <= "7") {
+          let oct = e;
+          while (oct.length < 3 && text[lexer.pos] >= "0" && text[lexer.pos] <= "7") oct += text[lexer.pos++];
+          out.push(parseInt(oct, 8) & 0xff);
+        } else if (typeof e === "string") {
+          out.push(e.charCodeAt(0) & 0xff);
+        }
+      } else if (c === "(") {
+        depth++;
+        out.push(0x28);
+      } else if (c === ")") {
+        if (depth === 0) break;
+        depth--;
+        out.push(0x29);
+      } else {
+        out.push(c.charCodeAt(0) & 0xff);
+      }
+    }
+    return { str: Buffer.from(out) };
+  }
+
+  return lexer;
+}
+
+// --------------------
+// Pages and text
+// --------------------
+
+// Page dicts in order, with inherited Resources resolved.
+function collectPages(pdf) {
+  let root = null;
+  for (const num of [...pdf.offsets.keys(), ...pdf.inStreams.keys()]) {
+    let obj;
+    try {
+      obj = getObject(pdf, num);
+    } catch {
+      continue;
+    }
+    if (obj && typeof obj === "object" && !obj.stream && obj.Type === "/Catalog" && obj.Pages) {
+      root = resolve(pdf, obj.Pages); // keep looking: the last catalog is the current one
+    }
+  }
+  if (!root) throw new Error("PDF has no page tree.");
+
+  const pages = [];
+  const seen = new Set();
+  const walk = (node, resources, depth) => {
+    if (!node || typeof node !== "object" || seen.has(node) || depth > PDF_MAX_TREE_DEPTH) return;
+    if (pages.length >= PDF_MAX_PAGES) return;
+    seen.add(node);
+
+    const ownResources = resolve(pdf, node.Resources);
+    const effective = ownResources && typeof ownResources === "object" ? ownResources : resources;
+
+    if (node.Type === "/Page" || (!node.Kids && node.Contents)) {
+      pages.push({ node, resources: effective });
+      return;
+    }
+    const kids = resolve(pdf, node.Kids);
+    if (!Array.isArray(kids)) return;
+    for (const kid of kids) walk(resolve(pdf, kid), effective, depth + 1);
+  };
+  walk(root, null, 0);
+  return pages;
+}
+
+function pageText(pdf, page) {
+  const contents = resolve(pdf, page.node.Contents);
+  const parts = (Array.isArray(contents) ? contents : [page.node.Contents])
+    .map((c) => resolve(pdf, c))
+    .filter((c) => c && c.stream)
+    .map((c) => decodeStream(pdf, c))
+    .filter(Boolean);
+
+  return runContent(pdf, Buffer.concat(parts.flatMap((p) => [p, Buffer.from("\n")])), page.resources, 0);
+}
+
+// Interprets the text operators of one content stream (and the form XObjects it draws).
+function runContent(pdf, data, resources, depth) {
+  const fonts = new Map();
+  const fontFor = (name) => {
+    if (!fonts.has(name)) fonts.set(name, loadFont(pdf, resources, name));
+    return fonts.get(name);
+  };
+
+  let out = "";
+  let font = null;
+  let operands = [];
+  const text = data.toString("latin1");
+  const lexer = createLexer(text, 0);
+
+  for (;;) {
+    const v = lexer.next();
+    if (typeof v === "undefined") break;
+    if (!v || typeof v !== "object" || !v.op) {
+      operands.push(v);
+      continue;
+    }
+
+    const op = v.op;
+    if (op === "Tf") {
+      font = fontFor(String(operands[0] || "").slice(1));
+    } else if (op === "Tj" || op === "'" || op === "\"") {
+      if (op !== "Tj") out += "\n";
+      const s = operands[operands.length - 1];
+      if (s && s.str) out += decodeText(s.str, font);
+    } else if (op === "TJ") {
+      const arr = operands[0];
+      if (Array.isArray(arr)) {
+        for (const part of arr) {
+          if (part && part.str) out += decodeText(part.str, font);
+          else if (typeof part === "number" && part < TJ_SPACE_THRESHOLD) out += " ";
+        }
+      }
+    } else if (op === "Td" || op === "TD") {
+      out += operands[1] ? "\n" : " ";
+    } else if (op === "T*" || op === "Tm") {
+      out += "\n";
+    } else if (op === "ET") {
+      out += "\n";
+    } else if (op === "Do" && depth < PDF_MAX_XOBJECT_DEPTH) {
+      out += runXObject(pdf, resources, String(operands[0] || "").slice(1), depth);
+    } else if (op === "ID") {
+      // Inline image data: skip to EI.
+      const end = text.indexOf("EI", lexer.pos);
+      lexer.pos = end < 0 ? text.length : end + 2;
+    }
+    operands = [];
+  }
+  return out;
+}
+
+function runXObject(pdf, resources, name, depth) {
+  const xobjects = resources ? resolve(pdf, resources.XObject) : null;
+  const xo = xobjects ? resolve(pdf, xobjects[name]) : null;
+  if (!xo || !xo.stream || xo.dict.Subtype !== "/Form") return "";
+  const data = decodeStream(pdf, xo);
+  if (!data) return "";
+  const own = resolve(pdf, xo.dict.Resources);
+  return "\n" + runContent(pdf, data, own && typeof own === "object" ? own : resources, depth + 1) + "\n";
+}
+
+// { twoByte, cmap: Map<code, string> | null }
+function loadFont(pdf, resources, name) {
+  const fontDict = resources ? resolve(pdf, resources.Font) : null;
+  const font = fontDict ? resolve(pdf, fontDict[name]) : null;
+  if (!font || typeof font !== "object") return null;
+
+  const twoByte = font.Subtype === "/Type0";
+  const toUnicode = resolve(pdf, font.ToUnicode);
+  let cmap = null;
+  if (toUnicode && toUnicode.stream) {
+    const data = decodeStream(pdf, toUnicode);
+    if (data) cmap = parseToUnicode(data.toString("latin1"));
+  }
+  return { twoByte, cmap };
+}
+
+function parseToUnicode(text) {
+  const map = new Map();
+  const hexToString = (hex) => {
+    const b = Buffer.from(hex.length % 2 ? hex + "0" : hex, "hex");
+    let s = "";
+    for (let i = 0; i + 1 < b.length; i += 2) s += String.fromCharCode((b[i] << 8) | b[i + 1]);
+    return s;
+  };
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(m[1], 16), hexToString(m[2]));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const lo = parseInt(m[1], 16);
+      const hi = Math.min(parseInt(m[2], 16), lo + 0xffff);
+      if (m[3].startsWith("[")) {
+        const dsts = [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].map((d) => hexToString(d[1]));
+        for (let code = lo; code <= hi && code - lo < dsts.length; code++) map.set(code, dsts[code - lo]);
+      } else {
+        const base = m[3].slice(1, -1);
+        const start = hexToString(base);
+        // The last UTF-16 unit is incremented across the range.
+        const prefix = start.slice(0, -1);
+        const last = start.charCodeAt(start.length - 1);
+        for (let code = lo; code <= hi; code++) map.set(code, prefix + String.fromCharCode(last + (code - lo)));
+      }
+    }
+  }
+  return map;
+}
+
+function decodeText(bytes, font) {
+  if (font && font.twoByte) {
+    if (!font.cmap) return ""; // CID glyph ids without a ToUnicode map are not text
+    let s = "";
+    for (let i = 0; i + 1 < bytes.length; i += 2) s += font.cmap.get((bytes[i] << 8) | bytes[i + 1]) || "";
+    return s;
+  }
+
+  let s = "";
+  for (const b of bytes) {
+    if (font && font.cmap && font.cmap.has(b)) s += font.cmap.get(b);
+    else s += CP1252_HIGH[b] || String.fromCharCode(b);
+  }
+  return s;
+}
+
+// Joins words hyphenated across lines and drops control characters and blank lines.
+function cleanPageText(text) {
+  return text
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/(\p{L})-\n\s*(\p{Ll})/gu, "$1$2")
+    .split("\n")
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+export { extractPdfPages };
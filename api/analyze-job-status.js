@@ -0,0 +1,111 @@
+import { loadJob, claimJob, releaseJob } from "./_lib/job-store.js";
+import { JOB_PHASES, advanceAnalysisJob } from "./analyze-selected-pdf.js";
+
+// Status of an async PDF analysis (POST /api/analyze-selected-pdf with async: true).
+//   GET  /api/analyze-job-status?jobId=...   or   POST { jobId }
+// The panel polls this route, and each call also runs the job's next step unless another call is
+// already running one. Response:
+//   { ok, jobId, status, phase, phaseIndex, phaseCount, openaiStatus, parts, createdAt, updatedAt, result, error }
+// parts: { done, total } while long documents are analyzed in parts (null otherwise).
+// result is the body the direct request would have returned; error is its JSON error body plus status.
+
+// Longer than any single step may run; a step that died with its instance is retried after this.
+const STEP_LOCK_SECONDS = 300;
+
+export default async function handler(req, res) {
+  // --- Quick & Dirty CORS ---
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return;
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.status(405).send("Use GET or POST.");
+    return;
+  }
+
+  let jobId = "";
+  if (req.method === "GET") {
+    const query = req.query || Object.fromEntries(new URL(req.url, "http://localhost").searchParams);
+    jobId = typeof query.jobId === "string" ? query.jobId : "";
+  } else {
+    const body = await readJson(req).catch(() => null);
+    if (!body) {
+      res.status(400).send("Invalid JSON body.");
+      return;
+    }
+    jobId = typeof body.jobId === "string" ? body.jobId : "";
+  }
+
+  if (!jobId) {
+    res.status(400).send("jobId missing.");
+    return;
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    let job = await loadJob(jobId);
+    if (!job) {
+      res.status(404).send(`Job ${jobId} not found (unknown or expired).`);
+      return;
+    }
+
+    const finished = job.status === "done" || job.status === "error";
+    if (!finished && await claimJob(job.id, STEP_LOCK_SECONDS)) {
+      try {
+        job = await advanceAnalysisJob(job);
+      } finally {
+        await releaseJob(job.id);
+      }
+    }
+
+    res.status(200).json(jobView(job));
+  } catch (e) {
+    res.status(e && e.status ? e.status : 500).send(e && e.message ? e.message : String(e));
+  }
+}
+
+// The stored input (sealed API key, prompt) and step data stay on the server.
+function jobView(job) {
+  const index = JOB_PHASES.indexOf(job.phase);
+  return {
+    ok: job.status !== "error",
+    jobId: job.id,
+    status: job.status,
+    phase: job.phase,
+    phaseIndex: job.phase === "done" ? JOB_PHASES.length : index + 1,
+    phaseCount: JOB_PHASES.length,
+    openaiStatus: job.data && job.data.openaiStatus ? job.data.openaiStatus : null,
+    parts: partProgress(job),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    result: job.result || null,
+    error: job.error || null
+  };
+}
+
+// Parts whose response has finished; the merge response is not counted.
+function partProgress(job) {
+  const chunks = job.data && Array.isArray(job.data.chunks) ? job.data.chunks : null;
+  if (!chunks) return null;
+  return {
+    done: chunks.filter((c) => c.status && !["queued", "in_progress"].includes(c.status)).length,
+    total: chunks.length
+  };
+}
+
+async function readJson(req) {
+  if (req.body) {
+    if (typeof req.body === "object") return req.body;
+    if (typeof req.body === "string") return JSON.parse(req.body);
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const raw = Buffer.concat(chunks).toString("utf8");
+  return raw ? JSON.parse(raw) : {};
+}
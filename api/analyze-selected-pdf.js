@@ -1,44 +1,50 @@
+import {
+  OKR_CATALOG_SCHEMA,
+  OKR_JSON_INSTRUCTIONS,
+  OKR_CANDIDATE_PROMPT,
+  OKR_MERGE_INSTRUCTIONS,
+  validateOkrCatalog,
+  verifyOkrEvidence,
+  renderOkrMarkdown,
+  evidenceSource
+} from "./_lib/okr-catalog.js";
+import { extractPdfPages } from "./_lib/pdf-text.js";
+import { isZipFile, extractOfficePages } from "./_lib/office-text.js";
+import { createJob, saveJob, jobStoreIsShared } from "./_lib/job-store.js";
+import { sealValue, unsealValue } from "./_lib/mcp-oauth.js";
+import {
+  resolveLlmProvider,
+  llmApiKey,
+  llmCreateResponse,
+  llmGetResponse
+} from "./_lib/llm-providers.js";
+import {
+  inputContentHash,
+  uploadFileOnce,
+  resultCacheKey,
+  readCachedResult,
+  writeCachedResult
+} from "./_lib/analysis-cache.js";
+
 const DEFAULT_OKR_PROMPT = [
   "ROLE",
   "You are a senior strategy-to-execution consultant and OKR architect.",
   "",
   "TASK",
-  "Given the attached Corporate Strategy document (PDF with text + charts), produce a corporate OKR catalog that is traceable to the document.",
+  "Given the attached document(s) (PDFs, slides, Word documents, images or board notes: corporate strategy, possibly with annual report, board memo or similar), produce ONE corporate OKR catalog that is traceable to the documents.",
   "",
   "NON-NEGOTIABLE RULES",
-  "- Do NOT invent facts, numbers, dates, or commitments that are not supported by the document.",
+  "- Do NOT invent facts, numbers, dates, or commitments that are not supported by the documents.",
   "- Every Objective and every Key Result MUST include:",
-  "  a) Source page(s)",
+  "  a) Source document and page(s)",
   "  b) Evidence snippet (<= 20 words; paraphrase preferred; short quote ok)",
   "  c) A label: {EXPLICIT} if directly stated, {INFERRED} if you created a measurable proxy.",
   "- If a critical metric is missing, create a measurable proxy KR but mark it {INFERRED}.",
   "- Do not ask questions; proceed best-effort and list assumptions briefly if needed.",
   "",
-  "OUTPUT FORMAT (IMPORTANT)",
-  "Return ONLY the final OKR catalog in MARKDOWN (no JSON, no extra sections, no analysis, no code fences).",
-  "",
-  "MARKDOWN STRUCTURE",
-  "# OKR Catalog",
-  "- Company: <if stated, else 'not stated'>",
-  "- Strategy name: <if stated, else 'not stated'>",
-  "- Publication date: <if stated, else 'not stated'>",
-  "- Time horizon: <if stated, else 'not stated'>",
-  "",
-  "## Objective O1: <title>",
-  "**Intent:** <1–2 sentences>",
-  "**Key Results:**",
-  "- **KR1:** <outcome> | Baseline: <.../n/a> | Target: <...> | Due: <...> | Evidence: p.<n> <snippet> | Tag: {EXPLICIT|INFERRED}",
-  "- **KR2:** ...",
-  "- **KR3:** ...",
-  "",
-  "## Objective O2: <title>",
-  "**Intent:** <1–2 sentences>",
-  "**Key Results:**",
-  "- **KR1:** ...",
-  "- **KR2:** ...",
-  "- **KR3:** ...",
-  "",
-  "Continue up to O9 max (5–9 objectives total; 3–5 KRs per objective)."
+  "SCOPE",
+  "- Capture company, strategy name, publication date and time horizon if stated.",
+  "- 5–9 objectives total; 3–5 KRs per objective; each KR with baseline (if stated), target and due date."
 ].join("\n");
 
 // The OKR output must be written into the existing doc format item on the board.
@@ -47,6 +53,62 @@ const TARGET_DOC_TITLE = "Objectives and Key Results Catalog";
 
 const PROMPT_DOC_TITLE = "OKR Extraction Prompt";
 
+// Documents analyzed together in one request (itemIds); each becomes its own labelled input.
+const MAX_DOCUMENTS = 8;
+
+// Documents too long for one model call are analyzed in parts (map-reduce) of chunkPages (request) /
+// PDF_CHUNK_PAGES (env) pages: text inputs with more pages than that, and PDF files larger than
+// PDF_CHUNK_MAX_MB (env) or longer than the provider's maxFilePages. Each part is sent as extracted text
+// that keeps the document's own page numbers.
+const DEFAULT_CHUNK_PAGES = 50;
+const DEFAULT_CHUNK_MAX_MB = 30;
+const MAX_ANALYSIS_PARTS = 20;
+
+// Board item types that can be analyzed → REST path of their details. "document" covers uploaded
+// files: PDF, Word (.docx), PowerPoint (.pptx) and image files.
+const INPUT_ITEM_DETAILS = { document: "documents", image: "images", doc_format: "docs" };
+
+// Image formats the model accepts as input_image.
+const IMAGE_MIME_TYPES = { png: "image/png", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp" };
+
+// Shown to the model next to each document label; text inputs mark their pages with "[Page N]".
+const INPUT_FORMAT_NOTES = {
+  pdf: "PDF",
+  pdf_text: "PDF as extracted text; [Page N] marks its pages",
+  docx: "Word document as extracted text; [Page N] marks its pages",
+  pptx: "PowerPoint as extracted text; [Page N] marks its slides, cite slide numbers as pages",
+  doc: "Miro doc text; cite it as page 1",
+  image: "image; cite it as page 1"
+};
+
+// output: "doc" rewrites the catalog doc, "board" lays the catalog out as frames/shapes/cards, "both" does both.
+const OUTPUT_MODES = ["doc", "board", "both"];
+
+// Board layout: one frame per objective, side by side; header shape on top, KR cards below.
+const BOARD_LAYOUT = {
+  frameWidth: 440,
+  frameGap: 120,
+  padding: 40,
+  headerHeight: 180,
+  cardHeight: 150,
+  gap: 30
+};
+
+// A doc without a placeholder position goes right of the frames (output "both"); Miro decides its size,
+// so this much room is left for half its width.
+const FALLBACK_DOC_HALF_WIDTH = 400;
+
+const KR_CARD_THEMES = { EXPLICIT: "#2d9bf0", INFERRED: "#f5a623" };
+const OBJECTIVE_FILL = "#dbe9ff";
+
+// Async jobs (body.async === true), in order; a finished job has phase "done".
+// writing_doc also covers output "board".
+const JOB_PHASES = ["downloading", "uploading", "analyzing", "writing_doc"];
+const OPENAI_RESPONSE_PENDING = ["queued", "in_progress"];
+const API_KEY_SEAL_PURPOSE = "llm-api-key";
+// Transient failures (see isTransientError) a job retries per phase on later polls before it gives up.
+const JOB_MAX_TRANSIENT_RETRIES = 5;
+
 export default async function handler(req, res) {
   // --- Quick & Dirty CORS ---
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -69,316 +131,757 @@ export default async function handler(req, res) {
     return;
   }
 
-  const OPENAI_API_KEY = (process.env.OPENAI_API_KEY || "").trim();
-
   const body = await readJson(req).catch(() => null);
   if (!body) {
     res.status(400).send("Invalid JSON body.");
     return;
   }
 
-  const { boardId, itemId, openaiKey, model, prompt } = body;
+  const { boardId, model, prompt } = body;
+  const itemIds = requestedItemIds(body);
+
+  if (!boardId || !itemIds.length) {
+    res.status(400).send("boardId or itemId / itemIds missing.");
+    return;
+  }
+  if (itemIds.length > MAX_DOCUMENTS) {
+    res.status(400).send(`Too many documents (${itemIds.length}); at most ${MAX_DOCUMENTS} can be analyzed together.`);
+    return;
+  }
 
-  if (!boardId || !itemId) {
-    res.status(400).send("boardId or itemId missing.");
+  // provider: one of /api/llm-providers (default: LLM_PROVIDER or "openai").
+  let provider;
+  try {
+    provider = resolveLlmProvider(body.provider);
+  } catch (e) {
+    res.status(e && e.status ? e.status : 500).send(e && e.message ? e.message : String(e));
     return;
   }
 
-  const effectiveOpenaiKey =
-    (typeof openaiKey === "string" && openaiKey.trim()) ? openaiKey.trim() : OPENAI_API_KEY;
+  // apiKey (openaiKey is the older name) overrides the provider's server-side key.
+  const requestKey = [body.apiKey, body.openaiKey].find((k) => typeof k === "string" && k.trim());
+  const ownApiKey = provider.auth === "none" ? "" : (requestKey || "").trim();
+  const effectiveApiKey = llmApiKey(provider, ownApiKey);
 
-  if (!effectiveOpenaiKey) {
-    res.status(400).send("openaiKey missing (set OPENAI_API_KEY in Vercel env or pass openaiKey).");
+  if (provider.auth !== "none" && !effectiveApiKey) {
+    res.status(400).send(apiKeyMissingMessage(provider));
     return;
   }
 
   const effectiveModel =
-    (typeof model === "string" && model.trim()) ? model.trim() : "gpt-5.2";
+    (typeof model === "string" && model.trim()) ? model.trim() : provider.defaultModel;
+  if (!effectiveModel) {
+    res.status(400).send(`model missing (provider "${provider.id}" has no default model).`);
+    return;
+  }
 
-  let effectivePrompt =
+  const output = (typeof body.output === "string" && body.output.trim()) ? body.output.trim() : "doc";
+  if (!OUTPUT_MODES.includes(output)) {
+    res.status(400).send(`Unknown output "${output}". Use ${OUTPUT_MODES.join(", ")}.`);
+    return;
+  }
+
+  const effectivePrompt =
     (typeof prompt === "string" && prompt.trim()) ? prompt.trim() : "";
 
-  try {
-    // 1) Item typisieren
-    const item = await miroGetJson(
-      `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(itemId)}`,
-      MIRO_ACCESS_TOKEN
-    );
+  // force: run the model even if the same documents, model and prompt were analyzed before.
+  const force = body.force === true;
 
-    const itemType = item && item.type ? String(item.type) : "";
-    if (itemType !== "document") {
-      res.status(400).send(`Selected item is not a document item. REST type=${itemType}`);
+  const chunkPages = (body.chunkPages === undefined || body.chunkPages === null)
+    ? defaultChunkPages()
+    : Number(body.chunkPages);
+  if (!Number.isInteger(chunkPages) || chunkPages < 1) {
+    res.status(400).send("chunkPages must be a positive whole number.");
+    return;
+  }
+
+  // async: answer with a job id right away; /api/analyze-job-status runs the steps while it is polled.
+  // Polls may reach any function instance, so jobs need the shared KV store (see api/_lib/job-store.js),
+  // and a provider with background responses: otherwise one poll would wait for the whole model call.
+  if (body.async === true) {
+    if (!jobStoreIsShared()) {
+      res.status(503).json({
+        error: "Async analysis needs a shared job store (KV_REST_API_URL / KV_REST_API_TOKEN); call without async.",
+        asyncUnavailable: true
+      });
+      return;
+    }
+    if (!provider.background) {
+      res.status(501).json({
+        error: `${provider.label} has no background responses, so it cannot run as an async job; call without async.`,
+        asyncUnavailable: true
+      });
       return;
     }
+    try {
+      const job = await createJob("analyze-pdf", {
+        boardId: String(boardId),
+        itemIds,
+        provider: provider.id,
+        model: effectiveModel,
+        output,
+        prompt: effectivePrompt,
+        force,
+        chunkPages,
+        // A key from the panel is only stored sealed; otherwise the steps use the provider's env key.
+        apiKey: ownApiKey ? sealValue(API_KEY_SEAL_PURPOSE, ownApiKey) : null
+      }, JOB_PHASES[0]);
+
+      res.status(202).json({
+        ok: true,
+        jobId: job.id,
+        status: job.status,
+        phase: job.phase,
+        statusUrl: `/api/analyze-job-status?jobId=${encodeURIComponent(job.id)}`
+      });
+    } catch (e) {
+      res.status(e && e.status ? e.status : 500).send(e && e.message ? e.message : String(e));
+    }
+    return;
+  }
+
+  try {
+    // 1) + 2) Items typisieren, Details
+    const sources = await loadSources(boardId, itemIds, MIRO_ACCESS_TOKEN);
+
+    // 3) Inhalte laden (PDF / Office text / image / doc text)
+    const inputs = await loadSourceInputs(boardId, sources, MIRO_ACCESS_TOKEN);
+    const promptText = await resolvePrompt(boardId, MIRO_ACCESS_TOKEN, effectivePrompt);
+
+    // 4) LLM: cached result for the same content, model and prompt, or
+    //    PDF uploads (or their text) → one response with a labelled input per document,
+    //    or for long documents one response per part and a merge response
+    const chunks = analysisChunks(provider, sources, inputs, chunkPages);
+    const parts = chunkLabels(sources, chunks);
+    const cacheKey = resultCacheKey(provider.id, effectiveModel, promptText, sourceDocuments(sources), parts);
+    let rawCatalog = force ? null : await readCachedResult(cacheKey);
+    const cached = !!rawCatalog;
+    if (!cached) {
+      await prepareModelInputs(provider, effectiveApiKey, sources, inputs);
+      rawCatalog = chunks
+        ? await analyzeInParts(provider, effectiveApiKey, effectiveModel, promptText, sources, inputs, chunks)
+        : parseOkrResponse(
+          await llmCreateResponse(provider, effectiveApiKey, okrResponseRequest(effectiveModel, promptText, sources, inputs))
+        );
+    }
+
+    // 5) Board objects and/or doc
+    const result = await writeAnalysisResult({
+      boardId,
+      token: MIRO_ACCESS_TOKEN,
+      output,
+      sources,
+      inputs,
+      rawCatalog,
+      cached,
+      cacheKey,
+      parts
+    });
+    res.status(200).json(result);
+  } catch (e) {
+    sendAnalysisError(res, e);
+  }
+}
+
+// --------------------
+// Analysis steps (shared by the direct request and the async job)
+// --------------------
+
+// Errors that carry their own HTTP status; `details` are merged into a JSON error body.
+function analysisError(message, status, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+// Failed Miro call or download; upstreamStatus is the HTTP status it answered with.
+function upstreamError(message, upstreamStatus) {
+  const err = new Error(message);
+  err.upstreamStatus = upstreamStatus;
+  return err;
+}
+
+// Rate limits, 5xx of Miro or the LLM provider, and network failures: worth trying again later.
+function isTransientError(e) {
+  if (!e) return false;
+  if (typeof e.upstreamStatus === "number") return e.upstreamStatus === 429 || e.upstreamStatus >= 500;
+  return e instanceof TypeError && /fetch failed/i.test(e.message || "");
+}
+
+function sendAnalysisError(res, e) {
+  const message = e && e.message ? e.message : String(e);
+  const status = e && e.status ? e.status : 500;
+  if (e && e.details) {
+    res.status(status).json({ error: message, ...e.details });
+    return;
+  }
+  res.status(status).send(message);
+}
+
+// itemIds (several documents) or itemId; ids as strings, duplicates removed, order kept.
+function requestedItemIds(body) {
+  const raw = Array.isArray(body.itemIds) && body.itemIds.length ? body.itemIds : [body.itemId];
+  const ids = raw
+    .filter((id) => (typeof id === "string" && id.trim()) || typeof id === "number")
+    .map((id) => String(id).trim());
+  return [...new Set(ids)];
+}
+
+// One source per item, labelled D1, D2, … in request order (the labels the model cites).
+async function loadSources(boardId, itemIds, token) {
+  const sources = [];
+  for (const itemId of itemIds) {
+    const source = await loadSource(boardId, itemId, token);
+    sources.push({ documentId: `D${sources.length + 1}`, itemId, ...source, format: null, sha256: null, openaiFileId: null });
+  }
+  return sources;
+}
+
+// Output goes to the right of the right-most document, level with the first one.
+function outputAnchor(sources) {
+  return {
+    outX: Math.max(...sources.map((s) => s.outX)),
+    outY: sources[0].outY
+  };
+}
+
+// Checks that the item can be analyzed and returns its type, title, download URL and the output anchor.
+async function loadSource(boardId, itemId, token) {
+  const item = await miroGetJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(itemId)}`,
+    token
+  );
+
+  const itemType = item && item.type ? String(item.type) : "";
+  if (!INPUT_ITEM_DETAILS[itemType]) {
+    throw analysisError(
+      `Selected item ${itemId} cannot be analyzed (REST type=${itemType}). ` +
+      "Use a document (PDF, Word, PowerPoint or image file), an image or a doc.",
+      400
+    );
+  }
+
+  const doc = await miroGetJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/${INPUT_ITEM_DETAILS[itemType]}/${encodeURIComponent(itemId)}`,
+    token
+  );
+
+  const docData = doc && doc.data ? doc.data : {};
+  let title = (docData && typeof docData.title === "string" && docData.title.trim()) ? docData.title.trim() : "";
+  let downloadUrl = null;
+
+  if (itemType === "doc_format") {
+    // Docs have no title field; their first line usually is one.
+    title = title || docFormatText(doc).split("\n")[0].replace(/^#{1,6}\s+/, "").slice(0, 80).trim() || "Miro doc";
+  } else if (itemType === "image") {
+    title = title || "Image";
+    // imageUrl asks for a preview by default.
+    downloadUrl = typeof docData.imageUrl === "string" ? docData.imageUrl.replace("format=preview", "format=original") : null;
+  } else {
+    title = title || "Strategy document";
+    downloadUrl = docData.documentUrl || docData.downloadUrl || docData.download_url || null;
+  }
+
+  if (itemType !== "doc_format" && !downloadUrl) {
+    throw analysisError(`No download URL found in ${itemType} item response.`, 500, { doc });
+  }
 
-    // 2) Document Details
+  // Position near the selected item (best-effort)
+  const srcPos =
+    (doc && doc.position && typeof doc.position.x === "number" && typeof doc.position.y === "number")
+      ? doc.position
+      : (item && item.position && typeof item.position.x === "number" && typeof item.position.y === "number")
+        ? item.position
+        : { x: 0, y: 0 };
+
+  const srcGeom =
+    (doc && doc.geometry && typeof doc.geometry.width === "number" && typeof doc.geometry.height === "number")
+      ? doc.geometry
+      : (item && item.geometry && typeof item.geometry.width === "number" && typeof item.geometry.height === "number")
+        ? item.geometry
+        : { width: 800, height: 600 };
+
+  return {
+    itemType,
+    title,
+    downloadUrl,
+    outX: srcPos.x + (srcGeom.width / 2) + 600,
+    outY: srcPos.y
+  };
+}
+
+// Reads every source (see loadSourceInput) and records its format and content hash on the source.
+async function loadSourceInputs(boardId, sources, token) {
+  const inputs = [];
+  for (const source of sources) {
+    const input = await loadSourceInput(boardId, source, token);
+    source.format = input.format;
+    source.sha256 = inputContentHash(input);
+    inputs.push(input);
+  }
+  return inputs;
+}
+
+// Input adapters: reads a source into { format, bytes, mime, pages }.
+//   pdf          bytes (uploaded as input_file); its text is extracted for the evidence check only
+//   docx / pptx  pages extracted locally (sent as text)
+//   image        bytes + mime (sent as input_image)
+//   doc          the doc_format item's text as one page
+async function loadSourceInput(boardId, source, token) {
+  if (source.itemType === "doc_format") {
     const doc = await miroGetJson(
-      `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/documents/${encodeURIComponent(itemId)}`,
-      MIRO_ACCESS_TOKEN
+      `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/docs/${encodeURIComponent(source.itemId)}`,
+      token
     );
+    const text = docFormatText(doc);
+    if (!text) throw analysisError(`Doc "${source.title}" has no text.`, 422);
+    return { format: "doc", pages: [text] };
+  }
+
+  const bytes = await miroDownloadBinary(source.downloadUrl, token);
+  const fileFormat = detectFileFormat(bytes);
+
+  if (fileFormat === "pdf") return { format: "pdf", bytes };
+  if (IMAGE_MIME_TYPES[fileFormat]) return { format: "image", bytes, mime: IMAGE_MIME_TYPES[fileFormat] };
+  if (fileFormat === "zip") {
+    let office;
+    try {
+      office = extractOfficePages(bytes);
+    } catch (e) {
+      throw analysisError(`"${source.title}": ${e && e.message ? e.message : String(e)}`, 415);
+    }
+    if (!office.pages.some((p) => p.trim())) {
+      throw analysisError(`"${source.title}": no text found in the ${office.format} file.`, 422);
+    }
+    return { format: office.format, pages: office.pages };
+  }
+  if (fileFormat === "ole") {
+    throw analysisError(`"${source.title}" is a legacy Office file (.doc/.ppt); save it as .docx/.pptx or PDF.`, 415);
+  }
+  throw analysisError(`"${source.title}" is not a PDF, Word, PowerPoint or image file.`, 415);
+}
 
-    const docData = doc && doc.data ? doc.data : {};
-    const pdfTitleRaw =
-      (docData && typeof docData.title === "string" && docData.title.trim())
-        ? docData.title.trim()
-        : "Strategy PDF";
+// Text per page for the evidence check; null when there is none (images).
+function sourcePageTexts(input) {
+  if (!input) return null;
+  if (input.pages) return input.pages;
+  if (input.format !== "pdf") return null;
+  try {
+    return extractPdfPages(input.bytes);
+  } catch {
+    // unreadable structure -> its KRs stay "unchecked" / "not_found"
+    return null;
+  }
+}
 
-    const downloadUrl =
-      docData.documentUrl ||
-      docData.downloadUrl ||
-      docData.download_url ||
-      null;
+// Uploads the PDFs among the inputs (the other formats go into the request inline). Providers without
+// file uploads get the PDF's extracted text instead; images need a provider that takes them.
+async function prepareModelInputs(provider, apiKey, sources, inputs) {
+  for (let i = 0; i < sources.length; i++) {
+    const input = inputs[i];
+    if (input.format === "image" && !provider.images) {
+      throw analysisError(`"${sources[i].title}" is an image, which ${provider.label} does not accept.`, 422);
+    }
+    // Split documents go in as text parts (see analysisChunks).
+    if (input.format !== "pdf" || input.split) continue;
 
-    if (!downloadUrl) {
-      res.status(500).json({ error: "No download URL found in document item response.", doc });
+    if (provider.files) {
+      const file = await uploadPdf(provider, apiKey, `miro-${sources[i].itemId}.pdf`, input.bytes);
+      sources[i].openaiFileId = file.id;
+      continue;
+    }
+
+    const pages = sourcePageTexts(input);
+    if (!pages || !pages.some((p) => p.trim())) {
+      throw analysisError(
+        `"${sources[i].title}": no text found in the PDF, and ${provider.label} does not accept PDF files.`,
+        422
+      );
+    }
+    input.pages = pages;
+  }
+}
+
+// Splits documents that are too long for one call into page ranges. Returns null when everything fits,
+// otherwise the calls of the map step: [[{ index, range }]], range { from, to } (1-based, inclusive) or
+// null for a whole document; the documents that fit share the first call. Split inputs get input.split.
+// PDFs the provider takes as files stay whole unless the file is over its limits, so scans and charts
+// reach the model.
+function analysisChunks(provider, sources, inputs, chunkPages) {
+  const maxBytes = envNumber("PDF_CHUNK_MAX_MB", DEFAULT_CHUNK_MAX_MB) * 1024 * 1024;
+  const whole = [];
+  const ranges = [];
+
+  sources.forEach((s, i) => {
+    const input = inputs[i];
+    // PDFs need their text anyway (page count now, evidence check later).
+    if (input.format === "pdf" && !input.pages) input.pages = sourcePageTexts(input);
+    const pageCount = input.pages ? input.pages.length : 0;
+    const hasText = !!input.pages && input.pages.some((p) => p.trim());
+
+    // Uploaded PDFs: over the byte or page limit (a scan without text is still sent whole for the latter).
+    // Text inputs: more pages than chunkPages. Images are never split.
+    const tooLarge = input.format === "pdf" && provider.files
+      ? input.bytes.length > maxBytes || (!!provider.maxFilePages && pageCount > provider.maxFilePages && hasText)
+      : input.format !== "image" && pageCount > chunkPages;
+    if (!tooLarge) {
+      whole.push({ index: i, range: null });
       return;
     }
 
-    // Position near the selected PDF (best-effort)
-    const srcPos =
-      (doc && doc.position && typeof doc.position.x === "number" && typeof doc.position.y === "number")
-        ? doc.position
-        : (item && item.position && typeof item.position.x === "number" && typeof item.position.y === "number")
-          ? item.position
-          : { x: 0, y: 0 };
+    if (!hasText) {
+      throw analysisError(`"${s.title}" is too large for one model call and has no text to split it into parts.`, 413);
+    }
+    input.split = true;
+    for (let from = 1; from <= pageCount; from += chunkPages) {
+      ranges.push({ index: i, range: { from, to: Math.min(pageCount, from + chunkPages - 1) } });
+    }
+  });
 
-    const srcGeom =
-      (doc && doc.geometry && typeof doc.geometry.width === "number" && typeof doc.geometry.height === "number")
-        ? doc.geometry
-        : (item && item.geometry && typeof item.geometry.width === "number" && typeof item.geometry.height === "number")
-          ? item.geometry
-          : { width: 800, height: 600 };
+  if (!ranges.length) return null;
+  const chunks = [...(whole.length ? [whole] : []), ...ranges.map((part) => [part])];
+  if (chunks.length > MAX_ANALYSIS_PARTS) {
+    throw analysisError(
+      `The documents would need ${chunks.length} model calls of ${chunkPages} pages; at most ${MAX_ANALYSIS_PARTS} are allowed. ` +
+      "Raise chunkPages (or PDF_CHUNK_PAGES) or select fewer documents.",
+      413
+    );
+  }
+  return chunks;
+}
 
-    const outX = srcPos.x + (srcGeom.width / 2) + 600;
-    const outY = srcPos.y;
+// "D1 p.1–50", "D2 + D3"; null without chunks. Also part of the result cache key.
+function chunkLabels(sources, chunks) {
+  if (!chunks) return null;
+  return chunks.map((chunk) => chunk
+    .map(({ index, range }) => range ? `${sources[index].documentId} p.${range.from}–${range.to}` : sources[index].documentId)
+    .join(" + "));
+}
 
-    // 3) PDF binary laden
-    const pdfBytes = await miroDownloadBinary(downloadUrl, MIRO_ACCESS_TOKEN);
+// Map step (candidates per part), then the merge call; returns the raw catalog.
+async function analyzeInParts(provider, apiKey, model, prompt, sources, inputs, chunks) {
+  const candidates = [];
+  for (const chunk of chunks) {
+    const request = okrResponseRequest(model, OKR_CANDIDATE_PROMPT, sources, inputs, chunk);
+    candidates.push(parseOkrResponse(await llmCreateResponse(provider, apiKey, request)));
+  }
+  return parseOkrResponse(
+    await llmCreateResponse(provider, apiKey, okrMergeRequest(model, prompt, sources, chunkLabels(sources, chunks), candidates))
+  );
+}
 
-    // If no prompt was provided via API, try to load it from an on-board Doc ("OKR Extraction Prompt").
-    // GitHub hardcoded DEFAULT_OKR_PROMPT remains the fallback.
-    if (!effectivePrompt) {
-      try {
-        const boardPrompt = await loadPromptFromBoardDoc(boardId, MIRO_ACCESS_TOKEN, PROMPT_DOC_TITLE);
-        if (boardPrompt) effectivePrompt = boardPrompt;
-      } catch {
-        // ignore -> fallback below
-      }
+function defaultChunkPages() {
+  const pages = Math.floor(envNumber("PDF_CHUNK_PAGES", DEFAULT_CHUNK_PAGES));
+  return pages >= 1 ? pages : DEFAULT_CHUNK_PAGES;
+}
+
+function envNumber(name, fallback) {
+  const raw = (process.env[name] || "").trim();
+  const n = raw ? Number(raw) : fallback;
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function apiKeyMissingMessage(provider) {
+  return `API key missing for ${provider.label} (set ${provider.apiKeyEnv} in Vercel env or pass apiKey).`;
+}
+
+// If no prompt was provided via API, try to load it from an on-board Doc ("OKR Extraction Prompt").
+// GitHub hardcoded DEFAULT_OKR_PROMPT remains the fallback.
+async function resolvePrompt(boardId, token, prompt) {
+  let effectivePrompt = prompt;
+  if (!effectivePrompt) {
+    try {
+      const boardPrompt = await loadPromptFromBoardDoc(boardId, token, PROMPT_DOC_TITLE);
+      if (boardPrompt) effectivePrompt = boardPrompt;
+    } catch {
+      // ignore -> fallback below
     }
-    if (!effectivePrompt) effectivePrompt = DEFAULT_OKR_PROMPT;
+  }
+  if (!effectivePrompt) effectivePrompt = DEFAULT_OKR_PROMPT;
+  return `${effectivePrompt}\n\n${OKR_JSON_INSTRUCTIONS}`;
+}
 
-    // 4) OpenAI: PDF upload → responses with input_file
-    const fileMeta = await openaiUploadPdf(effectiveOpenaiKey, `miro-${itemId}.pdf`, pdfBytes);
+// The documents as listed in results (and in the result cache key).
+function sourceDocuments(sources) {
+  return sources.map((s) => ({
+    id: s.documentId,
+    title: s.title,
+    itemId: s.itemId,
+    format: s.format,
+    sha256: s.sha256,
+    openaiFileId: s.openaiFileId
+  }));
+}
 
-    // IMPORTANT: no artificial max_output_tokens cap here (leave unset)
-    let answer = await openaiAnalyzePdf(effectiveOpenaiKey, effectiveModel, effectivePrompt, fileMeta.id);
-    answer = normalizeMarkdown(answer);
+// Validates the model's catalog, checks the evidence against the PDF text and writes the requested
+// output. Returns the response body of a successful analysis.
+// inputs: one entry per source (null if it could not be loaded again).
+// cacheKey: where a fresh catalog is cached once it passed validation (a rejected one is not kept).
+// parts: labels of the map-reduce calls (null for a single call).
+async function writeAnalysisResult({ boardId, token, output, sources, inputs, rawCatalog, cached, cacheKey, parts }) {
+  const { outX, outY } = outputAnchor(sources);
+  const documents = sourceDocuments(sources);
+  // itemId / openaiFileId: the first document, as before multi-document requests.
+  const ids = {
+    itemId: sources[0].itemId,
+    itemIds: sources.map((s) => s.itemId),
+    openaiFileId: sources[0].openaiFileId
+  };
 
-    // 5) Write result into an existing, pre-positioned Miro Doc Format item.
-    // As there is no REST "update doc format content" endpoint, we recreate the doc at the same
-    // position (and best-effort geometry/parent), then delete the old placeholder.
-    const docMarkdown =
-      `# OKR Catalog — ${escapeMdInline(pdfTitleRaw)}\n\n` +
-      answer;
+  const checked = validateOkrCatalog(rawCatalog, documents);
+  if (!checked.catalog) {
+    throw analysisError("The model returned an OKR catalog that does not match the schema.", 502, {
+      errors: checked.errors,
+      documents,
+      rawCatalog
+    });
+  }
+  const catalog = checked.catalog;
+  if (!cached && cacheKey) await writeCachedResult(cacheKey, rawCatalog);
 
-    const targetDoc = await findDocFormatByTitle(boardId, MIRO_ACCESS_TOKEN, TARGET_DOC_TITLE);
-    if (!targetDoc || !targetDoc.id) {
-      res.status(404).send(`Target doc format item not found. Expected an existing doc titled "${TARGET_DOC_TITLE}".`);
-      return;
-    }
+  // Check each KR's evidence snippet against the text of the cited document itself.
+  const pageTexts = {};
+  sources.forEach((s, i) => {
+    pageTexts[s.documentId] = sourcePageTexts(inputs[i]);
+  });
+  const verification = verifyOkrEvidence(catalog, pageTexts);
+  const answer = renderOkrMarkdown(catalog, verification);
 
-    const targetPos =
-      (targetDoc.position && typeof targetDoc.position.x === "number" && typeof targetDoc.position.y === "number")
-        ? targetDoc.position
-        : { x: outX, y: outY, origin: "center" };
+  // 5a) Board objects next to the documents (same anchor as the doc fallback).
+  const board = output === "doc"
+    ? null
+    : await renderCatalogOnBoard(boardId, token, catalog, outX, outY);
 
-    const targetGeom =
-      (targetDoc.geometry && typeof targetDoc.geometry === "object")
-        ? targetDoc.geometry
-        : null;
+  if (output === "board") {
+    return {
+      ok: true,
+      boardId,
+      ...ids,
+      output,
+      cached: !!cached,
+      analysisParts: parts || null,
+      documents,
+      board,
+      answer,
+      catalog,
+      catalogWarnings: checked.warnings,
+      verification
+    };
+  }
 
-    const targetParentId =
-      (targetDoc.parent && typeof targetDoc.parent.id === "string" && targetDoc.parent.id)
-        ? targetDoc.parent.id
-        : (targetDoc.parent && typeof targetDoc.parent.id === "number")
-          ? String(targetDoc.parent.id)
-          : null;
+  // 5b) Write result into an existing, pre-positioned Miro Doc Format item.
+  // As there is no REST "update doc format content" endpoint, we recreate the doc at the same
+  // position (and best-effort geometry/parent), then delete the old placeholder.
+  const docMarkdown =
+    `# OKR Catalog — ${escapeMdInline(sources.map((s) => s.title).join(" + "))}\n\n` +
+    answer;
 
-    const SCALE_FACTOR = 3;
+  const targetDoc = await findDocFormatByTitle(boardId, token, TARGET_DOC_TITLE);
+  if (!targetDoc || !targetDoc.id) {
+    throw analysisError(`Target doc format item not found. Expected an existing doc titled "${TARGET_DOC_TITLE}".`, 404);
+  }
 
-    const targetGeomWidthBase =
-      (targetGeom && typeof targetGeom.width === "number" && Number.isFinite(targetGeom.width))
-        ? targetGeom.width
+  // outX is also the left edge of the first frame: without a placeholder position, keep clear of the frames.
+  const framesRight = board
+    ? outX + (catalog.objectives.length * (BOARD_LAYOUT.frameWidth + BOARD_LAYOUT.frameGap))
+    : null;
+  const targetPos =
+    (targetDoc.position && typeof targetDoc.position.x === "number" && typeof targetDoc.position.y === "number")
+      ? targetDoc.position
+      : { x: board ? framesRight + FALLBACK_DOC_HALF_WIDTH : outX, y: outY, origin: "center" };
+
+  const targetGeom =
+    (targetDoc.geometry && typeof targetDoc.geometry === "object")
+      ? targetDoc.geometry
+      : null;
+
+  const targetParentId =
+    (targetDoc.parent && typeof targetDoc.parent.id === "string" && targetDoc.parent.id)
+      ? targetDoc.parent.id
+      : (targetDoc.parent && typeof targetDoc.parent.id === "number")
+        ? String(targetDoc.parent.id)
         : null;
 
-    const targetGeomHeightBase =
-      (targetGeom && typeof targetGeom.height === "number" && Number.isFinite(targetGeom.height))
-        ? targetGeom.height
-        : null;
+  const SCALE_FACTOR = 3;
 
-    const targetGeomWidthScaled =
-      (targetGeomWidthBase !== null) ? (targetGeomWidthBase * SCALE_FACTOR) : null;
+  const targetGeomWidthBase =
+    (targetGeom && typeof targetGeom.width === "number" && Number.isFinite(targetGeom.width))
+      ? targetGeom.width
+      : null;
 
-    const targetGeomHeightScaled =
-      (targetGeomHeightBase !== null) ? (targetGeomHeightBase * SCALE_FACTOR) : null;
+  const targetGeomHeightBase =
+    (targetGeom && typeof targetGeom.height === "number" && Number.isFinite(targetGeom.height))
+      ? targetGeom.height
+      : null;
 
-    const createPos = {
-      x: targetPos.x,
-      y: targetPos.y,
-      origin: (targetPos && typeof targetPos.origin === "string" && targetPos.origin) ? targetPos.origin : "center"
-    };
+  const targetGeomWidthScaled =
+    (targetGeomWidthBase !== null) ? (targetGeomWidthBase * SCALE_FACTOR) : null;
 
-    // Keep the placeholder's top-left corner fixed while scaling.
-    // For origin=center: shifting center by (Δwidth/2, Δheight/2) keeps top-left constant.
-    const createPosScaled = {
-      x: createPos.x,
-      y: createPos.y,
-      origin: createPos.origin
-    };
+  const targetGeomHeightScaled =
+    (targetGeomHeightBase !== null) ? (targetGeomHeightBase * SCALE_FACTOR) : null;
 
-    const originNorm = String(createPos.origin || "center").toLowerCase().replaceAll("_", "-");
-    if (originNorm === "center") {
-      if (targetGeomWidthBase !== null && targetGeomWidthScaled !== null) {
-        createPosScaled.x = createPos.x + ((targetGeomWidthScaled - targetGeomWidthBase) / 2);
-      }
-      if (targetGeomHeightBase !== null && targetGeomHeightScaled !== null) {
-        createPosScaled.y = createPos.y + ((targetGeomHeightScaled - targetGeomHeightBase) / 2);
-      }
+  const createPos = {
+    x: targetPos.x,
+    y: targetPos.y,
+    origin: (targetPos && typeof targetPos.origin === "string" && targetPos.origin) ? targetPos.origin : "center"
+  };
+
+  // Keep the placeholder's top-left corner fixed while scaling.
+  // For origin=center: shifting center by (Δwidth/2, Δheight/2) keeps top-left constant.
+  const createPosScaled = {
+    x: createPos.x,
+    y: createPos.y,
+    origin: createPos.origin
+  };
+
+  const originNorm = String(createPos.origin || "center").toLowerCase().replaceAll("_", "-");
+  if (originNorm === "center") {
+    if (targetGeomWidthBase !== null && targetGeomWidthScaled !== null) {
+      createPosScaled.x = createPos.x + ((targetGeomWidthScaled - targetGeomWidthBase) / 2);
+    }
+    if (targetGeomHeightBase !== null && targetGeomHeightScaled !== null) {
+      createPosScaled.y = createPos.y + ((targetGeomHeightScaled - targetGeomHeightBase) / 2);
     }
+  }
 
 
-    const docMarkdownWithTitleHeading = `# ${TARGET_DOC_TITLE}\n\n${docMarkdown}`;
+  const docMarkdownWithTitleHeading = `# ${TARGET_DOC_TITLE}\n\n${docMarkdown}`;
 
-    let createdDocId = null;
-    let createdTextId = null;
-    const docCreateErrors = [];
-    let replacedDocId = null;
+  let createdDocId = null;
+  let createdTextId = null;
+  const docCreateErrors = [];
+  let replacedDocId = null;
 
-    const createVariants = [
-      // Prefer setting the doc title explicitly (if supported by the endpoint).
-      { contentType: "markdown", content: docMarkdown, includeTitle: true, includeGeometry: true },
-      { contentType: "markdown", content: docMarkdown, includeTitle: true, includeGeometry: false },
+  const createVariants = [
+    // Prefer setting the doc title explicitly (if supported by the endpoint).
+    { contentType: "markdown", content: docMarkdown, includeTitle: true, includeGeometry: true },
+    { contentType: "markdown", content: docMarkdown, includeTitle: true, includeGeometry: false },
 
-      // Fallback: if title is not supported, force the title via the first heading.
-      { contentType: "markdown", content: docMarkdownWithTitleHeading, includeTitle: false, includeGeometry: true },
-      { contentType: "markdown", content: docMarkdownWithTitleHeading, includeTitle: false, includeGeometry: false },
+    // Fallback: if title is not supported, force the title via the first heading.
+    { contentType: "markdown", content: docMarkdownWithTitleHeading, includeTitle: false, includeGeometry: true },
+    { contentType: "markdown", content: docMarkdownWithTitleHeading, includeTitle: false, includeGeometry: false },
 
-      // HTML fallbacks.
-      { contentType: "html", content: toSimpleHtml(docMarkdown), includeTitle: true, includeGeometry: true },
-      { contentType: "html", content: toSimpleHtml(docMarkdown), includeTitle: true, includeGeometry: false },
-      { contentType: "html", content: toSimpleHtml(docMarkdownWithTitleHeading), includeTitle: false, includeGeometry: true },
-      { contentType: "html", content: toSimpleHtml(docMarkdownWithTitleHeading), includeTitle: false, includeGeometry: false }
-    ];
+    // HTML fallbacks.
+    { contentType: "html", content: toSimpleHtml(docMarkdown), includeTitle: true, includeGeometry: true },
+    { contentType: "html", content: toSimpleHtml(docMarkdown), includeTitle: true, includeGeometry: false },
+    { contentType: "html", content: toSimpleHtml(docMarkdownWithTitleHeading), includeTitle: false, includeGeometry: true },
+    { contentType: "html", content: toSimpleHtml(docMarkdownWithTitleHeading), includeTitle: false, includeGeometry: false }
+  ];
 
-    for (const v of createVariants) {
-      if (createdDocId) break;
+  for (const v of createVariants) {
+    if (createdDocId) break;
 
-      const payload = {
-        data: {
-          contentType: v.contentType,
-          content: v.content
-        },
-        position: (v.includeGeometry ? createPosScaled : createPos)
-      };
+    const payload = {
+      data: {
+        contentType: v.contentType,
+        content: v.content
+      },
+      position: (v.includeGeometry ? createPosScaled : createPos)
+    };
 
 
-      if (v.includeTitle) {
-        payload.data.title = TARGET_DOC_TITLE;
-      }
+    if (v.includeTitle) {
+      payload.data.title = TARGET_DOC_TITLE;
+    }
 
-      if (v.includeGeometry && targetGeom) {
-        const w = targetGeomWidthScaled;
-        const h = targetGeomHeightScaled;
-        if (w !== null || h !== null) {
-          payload.geometry = {};
-          // IMPORTANT: set only ONE dimension (width OR height), not both.
-          // This prevents the geometry-variant from failing and falling back to a non-geometry variant.
-          if (w !== null) {
-            payload.geometry.width = w;
-          } else if (h !== null) {
-            payload.geometry.height = h;
-          }
+    if (v.includeGeometry && targetGeom) {
+      const w = targetGeomWidthScaled;
+      const h = targetGeomHeightScaled;
+      if (w !== null || h !== null) {
+        payload.geometry = {};
+        // IMPORTANT: set only ONE dimension (width OR height), not both.
+        // This prevents the geometry-variant from failing and falling back to a non-geometry variant.
+        if (w !== null) {
+          payload.geometry.width = w;
+        } else if (h !== null) {
+          payload.geometry.height = h;
         }
       }
+    }
 
 
-      try {
-        const created = await miroPostJson(
-          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/docs`,
-          MIRO_ACCESS_TOKEN,
-          payload
-        );
-        createdDocId = created && created.id ? String(created.id) : null;
-      } catch (e) {
-        docCreateErrors.push(e && e.message ? e.message : String(e));
-      }
+    try {
+      const created = await miroPostJson(
+        `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/docs`,
+        token,
+        payload
+      );
+      createdDocId = created && created.id ? String(created.id) : null;
+    } catch (e) {
+      docCreateErrors.push(e && e.message ? e.message : String(e));
     }
+  }
 
-    // Best-effort: attach the new doc to the same parent (e.g., frame) as the placeholder.
-    if (createdDocId && targetParentId) {
-      try {
-        await miroPatchJson(
-          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(createdDocId)}`,
-          MIRO_ACCESS_TOKEN,
-          { parent: { id: targetParentId } }
-        );
-      } catch (e) {
-        docCreateErrors.push(e && e.message ? e.message : String(e));
-      }
+  // Best-effort: attach the new doc to the same parent (e.g., frame) as the placeholder.
+  if (createdDocId && targetParentId) {
+    try {
+      await miroPatchJson(
+        `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(createdDocId)}`,
+        token,
+        { parent: { id: targetParentId } }
+      );
+    } catch (e) {
+      docCreateErrors.push(e && e.message ? e.message : String(e));
     }
+  }
 
-    // Delete the placeholder only after the new doc has been created.
-    if (createdDocId) {
-      replacedDocId = String(targetDoc.id);
+  // Delete the placeholder only after the new doc has been created.
+  if (createdDocId) {
+    replacedDocId = String(targetDoc.id);
+    try {
+      await miroDelete(
+        `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/docs/${encodeURIComponent(replacedDocId)}`,
+        token
+      );
+    } catch (e) {
+      // Fallback: some boards/items behave more consistently via the generic delete-item endpoint.
       try {
         await miroDelete(
-          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/docs/${encodeURIComponent(replacedDocId)}`,
-          MIRO_ACCESS_TOKEN
+          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(replacedDocId)}`,
+          token
         );
-      } catch (e) {
-        // Fallback: some boards/items behave more consistently via the generic delete-item endpoint.
-        try {
-          await miroDelete(
-            `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(replacedDocId)}`,
-            MIRO_ACCESS_TOKEN
-          );
-        } catch (e2) {
-          docCreateErrors.push(e && e.message ? e.message : String(e));
-          docCreateErrors.push(e2 && e2.message ? e2.message : String(e2));
-        }
+      } catch (e2) {
+        docCreateErrors.push(e && e.message ? e.message : String(e));
+        docCreateErrors.push(e2 && e2.message ? e2.message : String(e2));
       }
     }
+  }
 
 
-    // Text fallback only if doc creation failed completely (we keep the placeholder in that case).
-    if (!createdDocId) {
-      try {
-        const createdText = await miroPostJson(
-          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/texts`,
-          MIRO_ACCESS_TOKEN,
-          { data: { content: answer }, position: createPos }
-        );
-        createdTextId = createdText && createdText.id ? String(createdText.id) : null;
-      } catch {
-        // ignore
-      }
+  // Text fallback only if doc creation failed completely (we keep the placeholder in that case).
+  if (!createdDocId) {
+    try {
+      const createdText = await miroPostJson(
+        `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/texts`,
+        token,
+        { data: { content: answer }, position: createPos }
+      );
+      createdTextId = createdText && createdText.id ? String(createdText.id) : null;
+    } catch {
+      // ignore
     }
-
-    res.status(200).json({
-      ok: true,
-      boardId,
-      itemId,
-      openaiFileId: fileMeta.id,
-      createdDocId,
-      createdTextId,
-      targetDocTitle: TARGET_DOC_TITLE,
-      replacedDocId,
-      docCreateErrors,
-      answer
-    });
-  } catch (e) {
-    res.status(500).send(e && e.message ? e.message : String(e));
   }
+
+  return {
+    ok: true,
+    boardId,
+    ...ids,
+    output,
+    cached: !!cached,
+    analysisParts: parts || null,
+    documents,
+    createdDocId,
+    createdTextId,
+    targetDocTitle: TARGET_DOC_TITLE,
+    replacedDocId,
+    docCreateErrors,
+    board,
+    answer,
+    catalog,
+    catalogWarnings: checked.warnings,
+    verification
+  };
 }
 
 async function readJson(req) {
@@ -395,7 +898,7 @@ async function readJson(req) {
 async function miroGetJson(url, token) {
   const res = await fetch(url, { method: "GET", headers: { Authorization: `Bearer ${token}` } });
   const text = await res.text();
-  if (!res.ok) throw new Error(`Miro GET ${url} → ${res.status}: ${text}`);
+  if (!res.ok) throw upstreamError(`Miro GET ${url} → ${res.status}: ${text}`, res.status);
   return text ? JSON.parse(text) : null;
 }
 
@@ -406,7 +909,7 @@ async function miroPostJson(url, token, payload) {
     body: JSON.stringify(payload)
   });
   const text = await res.text();
-  if (!res.ok) throw new Error(`Miro POST ${url} → ${res.status}: ${text}`);
+  if (!res.ok) throw upstreamError(`Miro POST ${url} → ${res.status}: ${text}`, res.status);
   return text ? JSON.parse(text) : null;
 }
 
@@ -417,7 +920,7 @@ async function miroPatchJson(url, token, payload) {
     body: JSON.stringify(payload)
   });
   const text = await res.text();
-  if (!res.ok) throw new Error(`Miro PATCH ${url} → ${res.status}: ${text}`);
+  if (!res.ok) throw upstreamError(`Miro PATCH ${url} → ${res.status}: ${text}`, res.status);
   return text ? JSON.parse(text) : null;
 }
 
@@ -427,7 +930,7 @@ async function miroDelete(url, token) {
     headers: { Authorization: `Bearer ${token}` }
   });
   const text = await res.text().catch(() => "");
-  if (!res.ok) throw new Error(`Miro DELETE ${url} → ${res.status}: ${text}`);
+  if (!res.ok) throw upstreamError(`Miro DELETE ${url} → ${res.status}: ${text}`, res.status);
   return true;
 }
 
@@ -638,20 +1141,6 @@ async function findDocFormatByTitle(boardId, token, exactTitle) {
 }
 
 
-function normalizeMarkdown(s) {
-  if (typeof s !== "string") return "";
-  let t = s.trim();
-
-  // remove code fences if model adds them
-  if (t.startsWith("```")) {
-    t = t.replace(/^```[a-zA-Z0-9_-]*\s*\r?\n?/, "");
-    t = t.replace(/\r?\n```$/, "");
-    t = t.replace(/```$/, "");
-    t = t.trim();
-  }
-  return t;
-}
-
 function escapeMdInline(s) {
   return String(s || "").replaceAll("\n", " ").replaceAll("|", "\\|").trim();
 }
@@ -681,6 +1170,20 @@ function isPdfMagic(bytes) {
   );
 }
 
+// "pdf" | "zip" (docx/pptx) | "ole" (legacy .doc/.ppt) | "png" | "jpeg" | "gif" | "webp", else null.
+function detectFileFormat(bytes) {
+  if (!bytes || bytes.length < 12) return null;
+  const ascii = (from, to) => String.fromCharCode(...bytes.slice(from, to));
+  if (isPdfMagic(bytes)) return "pdf";
+  if (isZipFile(bytes)) return "zip";
+  if (bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0) return "ole";
+  if (bytes[0] === 0x89 && ascii(1, 4) === "PNG") return "png";
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "jpeg";
+  if (ascii(0, 4) === "GIF8") return "gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+  return null;
+}
+
 function getHeaderLower(res, name) {
   try {
     const v = res.headers.get(name);
@@ -753,7 +1256,7 @@ async function miroDownloadBinary(downloadUrl, token) {
   const res1 = await fetchWithOptionalAuth(downloadUrl, token, true);
   if (!res1.ok) {
     const t = await res1.text().catch(() => "");
-    throw new Error(`Download (step1) failed ${res1.status}: ${t}`);
+    throw upstreamError(`Download (step1) failed ${res1.status}: ${t}`, res1.status);
   }
 
   const ct1 = getHeaderLower(res1, "content-type");
@@ -792,8 +1295,8 @@ async function miroDownloadBinary(downloadUrl, token) {
         }
         const ct2 = getHeaderLower(res2, "content-type");
         const bytes2 = await readBytes(res2);
-        if (ct2.includes("application/pdf") || isPdfMagic(bytes2)) return bytes2;
-        lastErr = new Error(`Download (step2/auth) not PDF. ct=${ct2 || "(none)"}`);
+        if (ct2.includes("application/pdf") || detectFileFormat(bytes2)) return bytes2;
+        lastErr = new Error(`Download (step2/auth) not a supported file. ct=${ct2 || "(none)"}`);
       } catch (e) {
         lastErr = e;
       }
@@ -806,26 +1309,23 @@ async function miroDownloadBinary(downloadUrl, token) {
         }
         const ct3 = getHeaderLower(res3, "content-type");
         const bytes3 = await readBytes(res3);
-        if (ct3.includes("application/pdf") || isPdfMagic(bytes3)) return bytes3;
-        lastErr = new Error(`Download (step2/noauth) not PDF. ct=${ct3 || "(none)"}`);
+        if (ct3.includes("application/pdf") || detectFileFormat(bytes3)) return bytes3;
+        lastErr = new Error(`Download (step2/noauth) not a supported file. ct=${ct3 || "(none)"}`);
       } catch (e) {
         lastErr = e;
       }
     }
 
-    throw new Error(`Could not resolve PDF from JSON. Last error: ${lastErr && lastErr.message ? lastErr.message : String(lastErr)}`);
+    throw new Error(`Could not resolve file from JSON. Last error: ${lastErr && lastErr.message ? lastErr.message : String(lastErr)}`);
   }
 
   const bytes1 = await readBytes(res1);
-  if (isPdfMagic(bytes1)) return bytes1;
+  if (detectFileFormat(bytes1)) return bytes1;
 
-  throw new Error(`Download did not yield a PDF. step1 content-type=${ct1 || "(none)"}`);
+  throw new Error(`Download did not yield a PDF, Office or image file. step1 content-type=${ct1 || "(none)"}`);
 }
 
-async function openaiUploadPdf(openaiKey, filename, bytes) {
-  const form = new FormData();
-  form.append("purpose", "user_data");
-
+async function uploadPdf(provider, apiKey, filename, bytes) {
   const safeName =
     (typeof filename === "string" && filename.toLowerCase().endsWith(".pdf"))
       ? filename
@@ -833,54 +1333,409 @@ async function openaiUploadPdf(openaiKey, filename, bytes) {
 
   if (!isPdfMagic(bytes)) {
     const head = Array.from((bytes || []).slice(0, 32)).map((b) => b.toString(16).padStart(2, "0")).join("");
-    throw new Error(`Refusing to upload non-PDF bytes to OpenAI. headHex=${head}`);
+    throw new Error(`Refusing to upload non-PDF bytes to ${provider.label}. headHex=${head}`);
   }
 
-  form.append("file", new Blob([bytes], { type: "application/pdf" }), safeName);
+  // Unchanged PDFs are not uploaded again (see api/_lib/analysis-cache.js).
+  return uploadFileOnce(provider, apiKey, safeName, bytes, "application/pdf");
+}
 
-  const res = await fetch("https://api.openai.com/v1/files", {
-    method: "POST",
-    headers: { Authorization: `Bearer ${openaiKey}` },
-    body: form
+// Returns the parsed catalog JSON (validated by the caller).
+// sources/inputs: each document is preceded by its label so the model can cite it.
+// parts: one chunk of analysisChunks() (default: every document whole).
+function okrResponseRequest(model, prompt, sources, inputs, parts) {
+  const content = [];
+  for (const { index, range } of parts || sources.map((s, i) => ({ index: i, range: null }))) {
+    const s = sources[index];
+    const input = inputs[index];
+
+    if (range) {
+      const note = `pages ${range.from}–${range.to} of ${input.pages.length} as extracted text; [Page N] gives the page number in the whole document`;
+      content.push({ type: "input_text", text: `Document ${s.documentId}: "${s.title}" (${note})` });
+      content.push({ type: "input_text", text: pagesText(input.pages.slice(range.from - 1, range.to), range.from) });
+      continue;
+    }
+
+    const note = input.format === "pdf" && !s.openaiFileId ? INPUT_FORMAT_NOTES.pdf_text : INPUT_FORMAT_NOTES[input.format];
+    content.push({ type: "input_text", text: `Document ${s.documentId}: "${s.title}" (${note})` });
+    if (input.format === "pdf" && s.openaiFileId) {
+      content.push({ type: "input_file", file_id: s.openaiFileId });
+    } else if (input.format === "image") {
+      content.push({ type: "input_image", image_url: `data:${input.mime};base64,${Buffer.from(input.bytes).toString("base64")}` });
+    } else {
+      content.push({ type: "input_text", text: pagesText(input.pages, 1) });
+    }
+  }
+  content.push({ type: "input_text", text: prompt });
+
+  return catalogRequest(model, content);
+}
+
+// Reduce step: the candidates found in each part, then the merge rules and the user's prompt.
+// parts: chunkLabels(); candidates: the raw catalogs of the map step, in the same order.
+function okrMergeRequest(model, prompt, sources, parts, candidates) {
+  const content = sources.map((s) => ({ type: "input_text", text: `Document ${s.documentId}: "${s.title}"` }));
+  content.push({
+    type: "input_text",
+    text: `Candidates per part (JSON):\n${JSON.stringify(candidates.map((c, n) => ({ part: parts[n], ...c })))}`
   });
+  content.push({ type: "input_text", text: `${OKR_MERGE_INSTRUCTIONS}\n\n${prompt}` });
 
-  const text = await res.text();
-  if (!res.ok) throw new Error(`OpenAI /v1/files → ${res.status}: ${text}`);
-  return JSON.parse(text);
+  return catalogRequest(model, content);
 }
 
-async function openaiAnalyzePdf(openaiKey, model, prompt, fileId) {
-  const body = {
+function catalogRequest(model, content) {
+  return {
     model,
-    input: [
-      {
-        role: "user",
-        content: [
-          { type: "input_file", file_id: fileId },
-          { type: "input_text", text: prompt }
-        ]
-      }
-    ]
+    input: [{ role: "user", content }],
+    text: {
+      format: { type: "json_schema", name: "okr_catalog", strict: true, schema: OKR_CATALOG_SCHEMA }
+    }
     // IMPORTANT: do NOT set max_output_tokens here (no artificial cap).
   };
+}
 
-  const res = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${openaiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body)
-  });
+// "[Page N]" blocks; first: the number of the first page given.
+function pagesText(pages, first) {
+  return pages.map((p, n) => `[Page ${first + n}]\n${p}`).join("\n\n");
+}
 
-  const text = await res.text();
-  if (!res.ok) throw new Error(`OpenAI /v1/responses → ${res.status}: ${text}`);
+// Reads the OKR JSON out of a finished response (direct call or completed background response).
+function parseOkrResponse(data) {
+  if (data.status === "failed" || data.status === "cancelled") {
+    const reason = data.error && data.error.message ? data.error.message : data.status;
+    throw new Error(`Model response ${data.status}: ${reason}`);
+  }
+  if (data.status === "incomplete") {
+    const reason = data.incomplete_details && data.incomplete_details.reason ? data.incomplete_details.reason : "unknown";
+    throw new Error(`Model response incomplete (${reason}); the OKR JSON would be cut off.`);
+  }
+
+  // Reasoning models put a reasoning item first; the answer is in the message item.
+  const parts = (Array.isArray(data.output) ? data.output : [])
+    .filter((o) => o && o.type === "message" && Array.isArray(o.content))
+    .flatMap((o) => o.content);
+
+  const refusal = parts.find((c) => c && c.type === "refusal");
+  if (refusal) throw new Error(`The model refused the analysis: ${refusal.refusal || "(no reason)"}`);
 
-  const data = JSON.parse(text);
-  const first = data.output && data.output[0];
-  const content = first && first.content;
-  const textPart = content && content.find((c) => c.type === "output_text");
-  return textPart ? textPart.text : "";
+  const textPart = parts.find((c) => c && c.type === "output_text");
+  if (!textPart || !textPart.text) throw new Error("Model response contains no output_text.");
+
+  try {
+    return JSON.parse(textPart.text);
+  } catch {
+    throw new Error(`Model output is not valid JSON: ${textPart.text.slice(0, 200)}`);
+  }
+}
+
+// --------------------
+// Async job (POST with async: true, advanced by /api/analyze-job-status)
+// --------------------
+// Each poll runs at most one step and saves the job when the phase changes, so no single invocation
+// has to last for the whole analysis (only providers with background responses get here):
+//   downloading/uploading: read the documents, upload the PDFs to the provider and start the background
+//     responses (one step, because file contents are not kept in the job store). Long documents get one
+//     response per part; each is saved as it starts. A cached result for the same content, model and
+//     prompt skips straight to writing_doc.
+//   analyzing: check the background responses until the model is done; after the parts, start the merge.
+//   writing_doc: validate, check evidence (the documents are read again) and write board objects / doc
+// A step that died with its instance is run again once the poll lock expires: "uploading", or "analyzing"
+// without a started response, goes back to downloading (parts already started are kept).
+// A failed step ends the job with status "error"; error has the same fields as the direct JSON error.
+// Transient failures (429, 5xx, network) before writing_doc instead leave the job in the phase the step
+// started in, so the next poll runs the step again (up to JOB_MAX_TRANSIENT_RETRIES times per phase).
+async function advanceAnalysisJob(job) {
+  if (job.status === "done" || job.status === "error") return job;
+
+  const token = (process.env.MIRO_ACCESS_TOKEN || "").trim();
+  if (!token) throw analysisError("Server misconfigured: MIRO_ACCESS_TOKEN is missing.", 500);
+
+  const input = job.input || {};
+  const data = job.data || (job.data = {});
+  if (job.phase === "uploading" || (job.phase === "analyzing" && !data.openaiResponseId && !data.chunks)) {
+    job.phase = "downloading";
+  }
+  const stepPhase = job.phase;
+
+  try {
+    const provider = resolveLlmProvider(input.provider);
+    const apiKey = llmApiKey(provider, input.apiKey ? unsealValue(API_KEY_SEAL_PURPOSE, input.apiKey) : "");
+    if (provider.auth !== "none" && !apiKey) throw analysisError(apiKeyMissingMessage(provider), 400);
+    if (!provider.background) throw analysisError(`${provider.label} has no background responses.`, 501);
+
+    if (job.phase === "downloading") {
+      job.status = "running";
+      await saveJob(job);
+
+      const sources = await loadSources(input.boardId, input.itemIds, token);
+      const inputs = await loadSourceInputs(input.boardId, sources, token);
+      const prompt = await resolvePrompt(input.boardId, token, input.prompt);
+      const chunks = analysisChunks(provider, sources, inputs, input.chunkPages || defaultChunkPages());
+      data.sources = sources;
+      data.parts = chunkLabels(sources, chunks);
+      data.cacheKey = resultCacheKey(provider.id, input.model, prompt, sourceDocuments(sources), data.parts);
+
+      const cachedCatalog = input.force ? null : await readCachedResult(data.cacheKey);
+      if (cachedCatalog) {
+        data.rawCatalog = cachedCatalog;
+        data.cached = true;
+        job.phase = "writing_doc";
+        return await saveJob(job);
+      }
+
+      job.phase = "uploading";
+      await saveJob(job);
+
+      await prepareModelInputs(provider, apiKey, sources, inputs);
+
+      if (chunks) {
+        // Map step: one background response per part; the merge call starts once all are done.
+        // Parts started by an earlier attempt of this step are kept if the request is still the same.
+        const started = Array.isArray(data.chunks) && data.chunksKey === data.cacheKey ? data.chunks : [];
+        data.chunks = started;
+        data.chunksKey = data.cacheKey;
+        for (const chunk of chunks.slice(started.length)) {
+          const request = okrResponseRequest(input.model, OKR_CANDIDATE_PROMPT, sources, inputs, chunk);
+          const response = await llmCreateResponse(provider, apiKey, { ...request, background: true, store: true });
+          data.chunks.push({ responseId: response.id, status: response.status || null, candidates: null });
+          await saveJob(job);
+        }
+        data.prompt = prompt;
+        job.phase = "analyzing";
+        return await saveJob(job);
+      }
+
+      const request = okrResponseRequest(input.model, prompt, sources, inputs);
+      const response = await llmCreateResponse(provider, apiKey, { ...request, background: true, store: true });
+      data.openaiResponseId = response.id;
+      data.openaiStatus = response.status || null;
+      job.phase = "analyzing";
+      return await saveJob(job);
+    }
+
+    if (job.phase === "analyzing") {
+      if (data.chunks && !data.openaiResponseId) {
+        let changed = false;
+        for (const chunk of data.chunks) {
+          if (chunk.candidates) continue;
+          const part = await llmGetResponse(provider, apiKey, chunk.responseId);
+          changed = changed || part.status !== chunk.status;
+          chunk.status = part.status || null;
+          if (!OPENAI_RESPONSE_PENDING.includes(part.status)) chunk.candidates = parseOkrResponse(part);
+        }
+        if (data.chunks.some((c) => !c.candidates)) return changed ? await saveJob(job) : job;
+
+        const request = okrMergeRequest(input.model, data.prompt, data.sources, data.parts, data.chunks.map((c) => c.candidates));
+        const merge = await llmCreateResponse(provider, apiKey, { ...request, background: true, store: true });
+        data.openaiResponseId = merge.id;
+        data.openaiStatus = merge.status || null;
+        // The merge request has them now; the job record stays small.
+        for (const chunk of data.chunks) chunk.candidates = null;
+        delete data.prompt;
+        return await saveJob(job);
+      }
+
+      const response = await llmGetResponse(provider, apiKey, data.openaiResponseId);
+      const pending = OPENAI_RESPONSE_PENDING.includes(response.status);
+      const statusChanged = response.status !== data.openaiStatus;
+      data.openaiStatus = response.status || null;
+      if (pending) return statusChanged ? await saveJob(job) : job;
+
+      data.rawCatalog = parseOkrResponse(response);
+      job.phase = "writing_doc";
+      return await saveJob(job);
+    }
+
+    if (job.phase === "writing_doc") {
+      // Only needed for the evidence check; a document that cannot be fetched leaves its KRs unchecked.
+      // Stored download URLs may have expired, so the documents are looked up again.
+      const inputs = [];
+      for (const source of data.sources) {
+        try {
+          const fresh = await loadSource(input.boardId, source.itemId, token);
+          inputs.push(await loadSourceInput(input.boardId, { ...source, downloadUrl: fresh.downloadUrl }, token));
+        } catch {
+          inputs.push(null);
+        }
+      }
+
+      job.result = await writeAnalysisResult({
+        boardId: input.boardId,
+        token,
+        output: input.output,
+        sources: data.sources,
+        inputs,
+        rawCatalog: data.rawCatalog,
+        cached: !!data.cached,
+        cacheKey: data.cacheKey,
+        parts: data.parts
+      });
+      delete data.rawCatalog;
+      job.status = "done";
+      job.phase = "done";
+      return await saveJob(job);
+    }
+
+    throw new Error(`Unknown job phase "${job.phase}".`);
+  } catch (e) {
+    // writing_doc is not repeated: board objects of a failed attempt may already exist.
+    const retries = data.transientPhase === stepPhase ? data.transientRetries || 0 : 0;
+    if (isTransientError(e) && stepPhase !== "writing_doc" && retries < JOB_MAX_TRANSIENT_RETRIES) {
+      data.transientPhase = stepPhase;
+      data.transientRetries = retries + 1;
+      data.lastTransientError = e.message || String(e);
+      job.phase = stepPhase;
+      job.status = "running";
+      return saveJob(job);
+    }
+    job.status = "error";
+    job.error = {
+      error: e && e.message ? e.message : String(e),
+      status: e && e.status ? e.status : 500,
+      ...(e && e.details ? e.details : {})
+    };
+    return saveJob(job);
+  }
+}
+
+// --------------------
+// OKR catalog as board objects
+// --------------------
+// (left, centerY): left edge of the first frame and vertical centre of the row of frames.
+// Children are positioned relative to their frame's top-left corner. A failed item is recorded in
+// errors and skipped (with its connectors); the rest of the layout is still created.
+async function renderCatalogOnBoard(boardId, token, catalog, left, centerY) {
+  const L = BOARD_LAYOUT;
+  // Each objective is connected to the PDF its evidence cites (the first one if that is unknown).
+  const pdfItemIdFor = (o) => {
+    const doc = catalog.documents.find((d) => d.id === o.evidence.document) || catalog.documents[0];
+    return String(doc.itemId);
+  };
+  const inner = L.frameWidth - (2 * L.padding);
+  const heightFor = (o) => (2 * L.padding) + L.headerHeight + (o.keyResults.length * (L.cardHeight + L.gap));
+  const top = centerY - (Math.max(...catalog.objectives.map(heightFor)) / 2);
+
+  const objectives = [];
+  const errors = [];
+  const note = (what, e) => errors.push(`${what}: ${e && e.message ? e.message : String(e)}`);
+
+  for (let i = 0; i < catalog.objectives.length; i++) {
+    const o = catalog.objectives[i];
+    const height = heightFor(o);
+    const entry = { id: o.id, frameId: null, shapeId: null, connectorId: null, keyResults: [] };
+    objectives.push(entry);
+
+    try {
+      const frame = await miroPostJson(
+        `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/frames`,
+        token,
+        {
+          data: { title: `${o.id}: ${o.title}`, format: "custom", type: "freeform" },
+          position: { x: left + (i * (L.frameWidth + L.frameGap)) + (L.frameWidth / 2), y: top + (height / 2), origin: "center" },
+          geometry: { width: L.frameWidth, height }
+        }
+      );
+      entry.frameId = frame && frame.id ? String(frame.id) : null;
+    } catch (e) {
+      note(`${o.id} frame`, e);
+    }
+    if (!entry.frameId) continue;
+
+    try {
+      const shape = await miroPostJson(
+        `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/shapes`,
+        token,
+        {
+          data: { shape: "round_rectangle", content: objectiveShapeHtml(catalog, o) },
+          style: { fillColor: OBJECTIVE_FILL, textAlign: "left", textAlignVertical: "top" },
+          position: { x: L.frameWidth / 2, y: L.padding + (L.headerHeight / 2), origin: "center" },
+          geometry: { width: inner, height: L.headerHeight },
+          parent: { id: entry.frameId }
+        }
+      );
+      entry.shapeId = shape && shape.id ? String(shape.id) : null;
+    } catch (e) {
+      note(`${o.id} shape`, e);
+    }
+
+    if (entry.shapeId) {
+      try {
+        entry.connectorId = await createBoardConnector(boardId, token, pdfItemIdFor(o), entry.shapeId);
+      } catch (e) {
+        note(`${o.id} connector`, e);
+      }
+    }
+
+    for (let j = 0; j < o.keyResults.length; j++) {
+      const k = o.keyResults[j];
+      const kr = { id: k.id, cardId: null, connectorId: null };
+      entry.keyResults.push(kr);
+
+      try {
+        const card = await miroPostJson(
+          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/cards`,
+          token,
+          {
+            data: { title: escapeHtml(`${k.id}: ${k.outcome}`), description: escapeHtml(keyResultCardText(catalog, k)) },
+            style: { cardTheme: KR_CARD_THEMES[k.tag] || KR_CARD_THEMES.EXPLICIT },
+            position: {
+              x: L.frameWidth / 2,
+              y: L.padding + L.headerHeight + L.gap + (j * (L.cardHeight + L.gap)) + (L.cardHeight / 2),
+              origin: "center"
+            },
+            geometry: { width: inner, height: L.cardHeight },
+            parent: { id: entry.frameId }
+          }
+        );
+        kr.cardId = card && card.id ? String(card.id) : null;
+      } catch (e) {
+        note(`${o.id}.${k.id} card`, e);
+      }
+
+      if (kr.cardId && entry.shapeId) {
+        try {
+          kr.connectorId = await createBoardConnector(boardId, token, entry.shapeId, kr.cardId);
+        } catch (e) {
+          note(`${o.id}.${k.id} connector`, e);
+        }
+      }
+    }
+  }
+
+  return { objectives, errors };
+}
+
+function objectiveShapeHtml(catalog, o) {
+  return `<p><strong>${escapeHtml(`${o.id}: ${o.title}`)}</strong></p>` +
+    `<p>${escapeHtml(o.intent)}</p>` +
+    `<p>${escapeHtml(`${evidenceSource(catalog, o.evidence)} · {${o.tag}}`)}</p>`;
+}
+
+function keyResultCardText(catalog, k) {
+  const pages = evidenceSource(catalog, k.evidence);
+  return [
+    `Target: ${k.target}`,
+    `Due: ${k.due === null ? "n/a" : k.due}`,
+    `Baseline: ${k.baseline === null ? "n/a" : k.baseline}`,
+    `Evidence: ${pages} ${k.evidence.snippet}`.trim(),
+    `Tag: {${k.tag}}`,
+    k.verification ? `Check: ${k.verification.status.replace("_", " ")}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+async function createBoardConnector(boardId, token, startItemId, endItemId) {
+  const created = await miroPostJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/connectors`,
+    token,
+    {
+      startItem: { id: String(startItemId) },
+      endItem: { id: String(endItemId) },
+      shape: "elbowed",
+      style: { endStrokeCap: "arrow" }
+    }
+  );
+  return created && created.id ? String(created.id) : null;
 }
 
 function extractDocFormatContent(docObj) {
@@ -891,6 +1746,15 @@ function extractDocFormatContent(docObj) {
   return "";
 }
 
+// Plain text of a doc_format item (Markdown stays as is; HTML is converted).
+function docFormatText(docObj) {
+  const contentRaw = extractDocFormatContent(docObj);
+  if (!contentRaw) return "";
+  if (looksLikeHtmlDocContent(contentRaw)) return htmlToTextPreserveAngles(contentRaw);
+  // Treat as markdown/plain text; DO NOT strip <...> because prompt contains placeholders.
+  return String(contentRaw || "").replaceAll("\u00a0", " ").trim();
+}
+
 function looksLikeHtmlDocContent(s) {
   const t = String(s || "");
   // Heuristic: only treat as HTML when it contains common HTML tags that Miro docs often return.
@@ -959,17 +1823,8 @@ async function loadPromptFromBoardDoc(boardId, token, promptDocTitle) {
   const doc = await findDocFormatByTitle(boardId, token, promptDocTitle);
   if (!doc || !doc.id) return "";
 
-  const contentRaw = extractDocFormatContent(doc);
-  if (!contentRaw) return "";
-
-  let text = contentRaw;
-
-  if (looksLikeHtmlDocContent(contentRaw)) {
-    text = htmlToTextPreserveAngles(contentRaw);
-  } else {
-    // Treat as markdown/plain text; DO NOT strip <...> because prompt contains placeholders.
-    text = String(contentRaw || "").replaceAll("\u00a0", " ").trim();
-  }
+  let text = docFormatText(doc);
+  if (!text) return "";
 
   text = removeLeadingTitleIfPresent(text, promptDocTitle);
 
@@ -981,3 +1836,8 @@ async function loadPromptFromBoardDoc(boardId, token, promptDocTitle) {
 
   return text;
 }
+
+export {
+  JOB_PHASES,
+  advanceAnalysisJob
+};
@@ -0,0 +1,29 @@
+import { listLlmProviders } from "./_lib/llm-providers.js";
+
+// LLM providers configured for /api/analyze-selected-pdf (see api/_lib/llm-providers.js).
+//   GET /api/llm-providers
+//   → { ok, defaultProvider, providers: [{ id, label, models, defaultModel, files, images, background, serverKey }] }
+// The panels fill their model picker from this; serverKey false means the request has to pass apiKey.
+
+export default async function handler(req, res) {
+  // --- Quick & Dirty CORS ---
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return;
+  }
+
+  if (req.method !== "GET") {
+    res.status(405).send("Use GET.");
+    return;
+  }
+
+  try {
+    res.status(200).json({ ok: true, ...listLlmProviders() });
+  } catch (e) {
+    res.status(e && e.status ? e.status : 500).send(e && e.message ? e.message : String(e));
+  }
+}
@@ -0,0 +1,310 @@
+import { mcpStartSession, mcpCloseSession, mcpListTools } from "./_lib/mcp-client.js";
+import { resolveMcpToken, sendMcpError } from "./_lib/mcp-oauth.js";
+import { readJson, miroGetJson } from "./_lib/miro-rest.js";
+import { listBoardItems, extractItemTitle, looseKey } from "./_lib/board-items.js";
+import { mcpListAllTableRows } from "./_lib/mcp-tables.js";
+
+// What buildLovablePrompt in index.html tells Lovable to expect inside the frame.
+const DEFAULT_FRAME_TITLE = "lovable";
+const TABLE_TITLE = "Voted Criterias";
+const REQUIRED_COLUMNS = ["Criterion", "Category", "Definition", "Why_it_matters", "ID", "weight"];
+const RULEBOOK_TITLE = "Scoring Rulebook";
+const MASTER_SPEC_RE = /master[\s_-]*spec/i;
+
+export default async function handler(req, res) {
+  // --- Quick & Dirty CORS ---
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return;
+  }
+  if (req.method !== "POST") {
+    res.status(405).send("Use POST.");
+    return;
+  }
+
+  const MIRO_ACCESS_TOKEN = (process.env.MIRO_ACCESS_TOKEN || "").trim();
+  if (!MIRO_ACCESS_TOKEN) {
+    res.status(500).send("Server misconfigured: MIRO_ACCESS_TOKEN is missing.");
+    return;
+  }
+
+  // Same MCP token fallback (and body.mcpAuth sign-in) as table-to-stickies-mcp.js.
+  const MIRO_MCP_ACCESS_TOKEN = (process.env.MIRO_MCP_ACCESS_TOKEN || "").trim();
+  const MCP_TOKEN = MIRO_MCP_ACCESS_TOKEN || MIRO_ACCESS_TOKEN;
+
+  const body = await readJson(req).catch(() => null);
+  if (!body) {
+    res.status(400).send("Invalid JSON body.");
+    return;
+  }
+
+  const { boardId } = body;
+  if (!boardId) {
+    res.status(400).send("boardId missing.");
+    return;
+  }
+
+  let mcpAuth;
+  try {
+    mcpAuth = await resolveMcpToken(body.mcpAuth, MCP_TOKEN);
+  } catch (e) {
+    res.status(e && e.status ? e.status : 401).json({ error: e && e.message ? e.message : String(e), signInUrl: "/api/mcp-oauth-start" });
+    return;
+  }
+
+  const frameTitle = (typeof body.frameTitle === "string" && body.frameTitle.trim()) ? body.frameTitle.trim() : DEFAULT_FRAME_TITLE;
+
+  const checks = [];
+  const report = {
+    frame: null,
+    masterSpec: null,
+    scoringRulebook: null,
+    table: null
+  };
+
+  try {
+    // 1) The frame
+    const frames = (await listBoardItems(boardId, MIRO_ACCESS_TOKEN, { type: "frame" }))
+      .filter((f) => normalizeTitle(extractItemTitle(f)) === normalizeTitle(frameTitle));
+
+    if (!frames.length) {
+      checks.push(issue("error", "frame_missing", `No frame titled "${frameTitle}" on the board.`));
+      res.status(200).json(buildReport(boardId, frameTitle, report, checks, mcpAuth));
+      return;
+    }
+    if (frames.length > 1) {
+      checks.push(issue("error", "frame_duplicate", `${frames.length} frames are titled "${frameTitle}"; Lovable needs exactly one.`, {
+        itemIds: frames.map((f) => String(f.id))
+      }));
+    }
+    const frame = frames[0];
+    report.frame = { id: String(frame.id), title: extractItemTitle(frame) };
+
+    const children = await listBoardItems(boardId, MIRO_ACCESS_TOKEN, { parent_item_id: String(frame.id) });
+
+    // 2) Docs: exactly one MASTER SPEC, at most one Scoring Rulebook
+    const docs = [];
+    for (const it of children) {
+      if (String(it.type || "") !== "doc_format") continue;
+      docs.push({ id: String(it.id), title: await resolveDocTitle(boardId, MIRO_ACCESS_TOKEN, it) });
+    }
+
+    const rulebooks = docs.filter((d) => normalizeTitle(d.title) === normalizeTitle(RULEBOOK_TITLE));
+    const others = docs.filter((d) => !rulebooks.includes(d));
+    const specs = others.filter((d) => MASTER_SPEC_RE.test(d.title));
+
+    if (specs.length === 1) {
+      report.masterSpec = specs[0];
+    } else if (specs.length > 1) {
+      checks.push(issue("error", "master_spec_duplicate", `${specs.length} docs in the frame look like the MASTER SPEC; keep exactly one.`, {
+        itemIds: specs.map((d) => d.id),
+        titles: specs.map((d) => d.title)
+      }));
+    } else if (others.length === 1) {
+      report.masterSpec = others[0];
+      checks.push(issue("warning", "master_spec_assumed", `No doc is titled "MASTER SPEC"; Lovable will use the only doc "${others[0].title}".`, {
+        itemIds: [others[0].id]
+      }));
+    } else if (!others.length) {
+      checks.push(issue("error", "master_spec_missing", "No MASTER SPEC doc inside the frame."));
+    } else {
+      checks.push(issue("error", "master_spec_ambiguous", `${others.length} docs in the frame and none is titled "MASTER SPEC".`, {
+        itemIds: others.map((d) => d.id),
+        titles: others.map((d) => d.title)
+      }));
+    }
+
+    if (rulebooks.length === 1) {
+      report.scoringRulebook = rulebooks[0];
+    } else if (rulebooks.length > 1) {
+      checks.push(issue("error", "rulebook_duplicate", `${rulebooks.length} "${RULEBOOK_TITLE}" docs in the frame; keep at most one.`, {
+        itemIds: rulebooks.map((d) => d.id)
+      }));
+    } else {
+      checks.push(issue("info", "rulebook_missing", `No "${RULEBOOK_TITLE}" doc (optional).`));
+    }
+
+    // 3) The "Voted Criterias" table
+    const tables = children.filter((it) => /table/i.test(String(it.type || "")));
+    const named = tables.filter((t) => normalizeTitle(extractItemTitle(t)) === normalizeTitle(TABLE_TITLE));
+
+    if (!named.length) {
+      checks.push(issue("error", "table_missing", `No table named "${TABLE_TITLE}" inside the frame.`, {
+        titles: tables.map((t) => extractItemTitle(t)).filter(Boolean)
+      }));
+    } else {
+      if (named.length > 1) {
+        checks.push(issue("error", "table_duplicate", `${named.length} tables are named "${TABLE_TITLE}"; keep exactly one.`, {
+          itemIds: named.map((t) => String(t.id))
+        }));
+      }
+      if (extractItemTitle(named[0]) !== TABLE_TITLE) {
+        checks.push(issue("warning", "table_title_case", `Table is named "${extractItemTitle(named[0])}"; the prompt asks for exactly "${TABLE_TITLE}".`));
+      }
+
+      const tableId = String(named[0].id);
+      let tableData = null;
+      const mcp = await mcpStartSession(mcpAuth.token);
+      try {
+        const tools = await mcpListTools(mcp);
+        const listTool = tools.find((t) => t && t.name === "table_list_rows");
+        tableData = await mcpListAllTableRows(mcp, listTool && listTool.inputSchema ? listTool.inputSchema : null, boardId, tableId);
+      } catch (e) {
+        checks.push(issue("error", "table_unreadable", `Could not read the table via MCP: ${e && e.message ? e.message : String(e)}`));
+      } finally {
+        await mcpCloseSession(mcp);
+      }
+
+      if (tableData) {
+        report.table = {
+          id: tableId,
+          title: extractItemTitle(named[0]),
+          columns: tableData.columns.map((c) => c.title),
+          rowCount: tableData.rows.length
+        };
+        checkTableContents(tableData.columns, tableData.rows, checks);
+      }
+    }
+
+    res.status(200).json(buildReport(boardId, frameTitle, report, checks, mcpAuth));
+  } catch (e) {
+    sendMcpError(res, 500, e && e.message ? e.message : String(e), mcpAuth);
+  }
+}
+
+// --------------------
+// Table checks
+// --------------------
+
+function checkTableContents(columns, rows, checks) {
+  const exact = new Map(columns.map((c, i) => [c.title, i]));
+  const loose = new Map(columns.map((c, i) => [looseKey(c.title), i]));
+  const idx = {};
+
+  for (const name of REQUIRED_COLUMNS) {
+    if (exact.has(name)) {
+      idx[name] = exact.get(name);
+    } else if (loose.has(looseKey(name))) {
+      idx[name] = loose.get(looseKey(name));
+      checks.push(issue("error", "column_misnamed", `Column "${columns[idx[name]].title}" must be named exactly "${name}".`, {
+        column: columns[idx[name]].title
+      }));
+    } else {
+      checks.push(issue("error", "column_missing", `Column "${name}" is missing.`, { column: name }));
+    }
+  }
+
+  const extra = columns.filter((c, i) => !Object.values(idx).includes(i)).map((c) => c.title);
+  if (extra.length) {
+    checks.push(issue("warning", "column_extra", `Columns not mentioned in the prompt: ${extra.join(", ")}.`, { columns: extra }));
+  }
+
+  if (!rows.length) {
+    checks.push(issue("error", "table_empty", `"${TABLE_TITLE}" has no rows.`));
+    return;
+  }
+
+  // Row numbers in the report are 1-based, as on the board.
+  const rowRef = (r) => ({ row: r + 1, id: typeof idx.ID === "number" ? (rows[r][idx.ID] || "") : "" });
+
+  if (typeof idx.weight === "number") {
+    const empty = [];
+    const notNumeric = [];
+    const decimalComma = [];
+    rows.forEach((row, r) => {
+      const v = String(row[idx.weight] || "").trim();
+      if (!v) empty.push(rowRef(r));
+      else if (/^-?\d+,\d+$/.test(v)) decimalComma.push(Object.assign(rowRef(r), { value: v }));
+      else if (!Number.isFinite(Number(v))) notNumeric.push(Object.assign(rowRef(r), { value: v }));
+    });
+    if (empty.length) checks.push(issue("error", "weight_empty", `${empty.length} row(s) have no weight.`, { rows: empty }));
+    if (notNumeric.length) checks.push(issue("error", "weight_not_numeric", `${notNumeric.length} row(s) have a non-numeric weight.`, { rows: notNumeric }));
+    if (decimalComma.length) {
+      checks.push(issue("warning", "weight_decimal_comma", `${decimalComma.length} weight(s) use a decimal comma; use a dot.`, { rows: decimalComma }));
+    }
+  }
+
+  if (typeof idx.ID === "number") {
+    const empty = [];
+    const seen = new Map();
+    rows.forEach((row, r) => {
+      const v = String(row[idx.ID] || "").trim();
+      if (!v) {
+        empty.push(rowRef(r));
+        return;
+      }
+      if (!seen.has(v)) seen.set(v, []);
+      seen.get(v).push(r + 1);
+    });
+    const duplicates = [...seen].filter(([, rs]) => rs.length > 1).map(([id, rs]) => ({ id, rows: rs }));
+    if (empty.length) checks.push(issue("error", "id_empty", `${empty.length} row(s) have no ID.`, { rows: empty }));
+    if (duplicates.length) checks.push(issue("error", "id_duplicate", `${duplicates.length} ID(s) are used more than once.`, { duplicates }));
+  }
+
+  if (typeof idx.Criterion === "number") {
+    const empty = rows.map((row, r) => (String(row[idx.Criterion] || "").trim() ? null : rowRef(r))).filter(Boolean);
+    if (empty.length) checks.push(issue("warning", "criterion_empty", `${empty.length} row(s) have no Criterion.`, { rows: empty }));
+  }
+}
+
+// --------------------
+// Helpers
+// --------------------
+
+function issue(level, code, message, details) {
+  return Object.assign({ level, code, message }, details || {});
+}
+
+function buildReport(boardId, frameTitle, report, checks, mcpAuth) {
+  const errorCount = checks.filter((c) => c.level === "error").length;
+  return {
+    ok: true,
+    ready: errorCount === 0,
+    boardId,
+    frameTitle,
+    errorCount,
+    warningCount: checks.filter((c) => c.level === "warning").length,
+    frame: report.frame,
+    masterSpec: report.masterSpec,
+    scoringRulebook: report.scoringRulebook,
+    table: report.table,
+    checks,
+    // true: the table was read through MCP as the signed-in user (the REST reads use the app token).
+    signedIn: mcpAuth.user,
+    mcpAuth: mcpAuth.refreshed || undefined
+  };
+}
+
+function normalizeTitle(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+// Doc items often carry no title in the listing; then the first heading/line of the content is the title.
+async function resolveDocTitle(boardId, token, item) {
+  const listed = extractItemTitle(item);
+  if (listed) return listed;
+
+  let details = null;
+  try {
+    details = await miroGetJson(
+      `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/docs/${encodeURIComponent(item.id)}`,
+      token
+    );
+  } catch {
+    return "";
+  }
+
+  const fromDetails = extractItemTitle(details);
+  if (fromDetails) return fromDetails;
+
+  const content = details && details.data && typeof details.data.content === "string" ? details.data.content : "";
+  for (const line of content.split(/\r?\n/)) {
+    const t = line.replace(/<[^>]*>/g, "").replace(/^#{1,6}\s+/, "").trim();
+    if (t) return t;
+  }
+  return "";
+}
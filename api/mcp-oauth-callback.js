@@ -0,0 +1,71 @@
+import { completeAuthorization, readCookie, nonceCookie, OAUTH_NONCE_COOKIE } from "./_lib/mcp-oauth.js";
+
+// Redirect target of the MCP sign-in. Checks the nonce cookie set by /api/mcp-oauth-start, exchanges
+// the code (PKCE) for tokens and posts the encrypted token blob to the window that opened the popup
+// (same origin only):
+//   window.opener.postMessage({ type: "miro-mcp-auth", mcpAuth }, <this origin>)
+// That caller keeps mcpAuth and sends it as body.mcpAuth to the MCP routes (table-to-stickies,
+// stickies-to-table, votes-to-table, lovable-readiness). The bundled panel signs in from the readiness
+// report (readiness.html) and sends the blob with its readiness check.
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).send("Use GET.");
+    return;
+  }
+
+  const query = req.query || Object.fromEntries(new URL(req.url, "http://localhost").searchParams);
+  const code = typeof query.code === "string" ? query.code : "";
+  const state = typeof query.state === "string" ? query.state : "";
+
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  // One attempt per nonce: the cookie is dropped whatever the outcome.
+  const nonce = readCookie(req, OAUTH_NONCE_COOKIE);
+  res.setHeader("Set-Cookie", nonceCookie("", new URL(req.url || "/", "http://localhost").pathname, 0));
+
+  if (query.error) {
+    const reason = [query.error, query.error_description].filter(Boolean).join(": ");
+    res.status(400).send(resultPage(null, `Sign-in was not completed (${reason}).`));
+    return;
+  }
+  if (!code || !state) {
+    res.status(400).send(resultPage(null, "Missing code or state."));
+    return;
+  }
+
+  try {
+    const mcpAuth = await completeAuthorization(state, code, nonce);
+    res.status(200).send(resultPage(mcpAuth, "Signed in to Miro MCP. You can close this window."));
+  } catch (e) {
+    res.status(e && e.status ? e.status : 500).send(resultPage(null, e && e.message ? e.message : String(e)));
+  }
+}
+
+// Only our own origin (where the panel is served) may receive the token blob.
+function resultPage(mcpAuth, message) {
+  const payload = JSON.stringify({ type: "miro-mcp-auth", mcpAuth, error: mcpAuth ? null : message })
+    .replaceAll("<", "\\u003c");
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8" /><title>Miro MCP sign-in</title></head>
+<body style="font-family: system-ui, sans-serif; font-size: 13px; padding: 16px;">
+  <p>${escapeHtml(message)}</p>
+  <script>
+    (function () {
+      var msg = ${payload};
+      if (window.opener) {
+        window.opener.postMessage(msg, window.location.origin);
+        if (msg.mcpAuth) window.close();
+      }
+    })();
+  </script>
+</body>
+</html>`;
+}
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
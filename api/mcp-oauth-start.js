@@ -0,0 +1,22 @@
+import { beginAuthorization, oauthRedirectUri, nonceCookie, OAUTH_STATE_TTL_MS } from "./_lib/mcp-oauth.js";
+
+// Opened in a popup by the client that wants to sign in: discovers the MCP authorization server,
+// registers this app as a client if needed and redirects the user to sign in. The nonce cookie ties the
+// sign-in to this browser. /api/mcp-oauth-callback finishes the flow.
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).send("Use GET.");
+    return;
+  }
+
+  try {
+    const redirectUri = oauthRedirectUri(req);
+    const { url, nonce } = await beginAuthorization(redirectUri);
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Set-Cookie", nonceCookie(nonce, new URL(redirectUri).pathname, Math.floor(OAUTH_STATE_TTL_MS / 1000)));
+    res.setHeader("Location", url);
+    res.status(302).end();
+  } catch (e) {
+    res.status(e && e.status ? e.status : 500).send(e && e.message ? e.message : String(e));
+  }
+}
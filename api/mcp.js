@@ -0,0 +1,265 @@
+import { timingSafeEqual } from "node:crypto";
+import { MCP_PROTOCOL_VERSIONS } from "./_lib/mcp-client.js";
+import { readJson } from "./_lib/miro-rest.js";
+import tableToStickies from "./table-to-stickies-mcp.js";
+import analyzeSelectedPdf from "./analyze-selected-pdf.js";
+
+// --------------------
+// MCP SERVER (Streamable HTTP, stateless JSON responses)
+// --------------------
+// Publishes our board automations as MCP tools. Each tool runs the existing POST handler in-process,
+// so tools and endpoints cannot drift apart. No sessions: every POST carries one JSON-RPC message
+// (or a batch) and gets a plain JSON reply; there is no server→client stream (GET answers 405).
+//
+// Callers authenticate with "Authorization: Bearer <MCP_SERVER_TOKEN>" — the tools write to boards
+// with this deployment's Miro token, so the endpoint must not be open like the panel endpoints.
+
+const SERVER_INFO = { name: "datentreiber-miro-app", version: "1.0" };
+
+const JSONRPC_PARSE_ERROR = -32700;
+const JSONRPC_INVALID_REQUEST = -32600;
+const JSONRPC_METHOD_NOT_FOUND = -32601;
+const JSONRPC_INVALID_PARAMS = -32602;
+
+const TOOLS = [
+  {
+    name: "table_to_stickies",
+    title: "Table → sticky notes",
+    description: "Reads a Miro table (via Miro MCP) and lays its rows out as sticky notes or cards next to it. " +
+      "Re-runs are idempotent: the cell → sticky mapping is stored per board and table. Use dryRun to preview without writing.",
+    handler: tableToStickies,
+    inputSchema: {
+      type: "object",
+      properties: {
+        boardId: { type: "string", description: "Miro board id." },
+        tableItemId: { type: "string", description: "Id of the table item on the board." },
+        layout: {
+          type: "object",
+          description: "Layout options (mode, anchor, sizes, gaps).",
+          properties: {
+            mode: { type: "string", enum: ["grid", "swimlanes", "groupBy", "cards"] },
+            anchor: { type: "string", enum: ["right", "below", "left"] },
+            groupBy: { type: "string", description: "Column title or id (mode groupBy)." },
+            cardsPerRow: { type: "integer", minimum: 1 },
+            stickyWidth: { type: "number", description: "Sticky width in board units (default: Miro's default sticky)." },
+            stickyHeight: { type: "number", description: "With stickyWidth: a clearly wider box gives rectangle stickies; also the minimum row height." },
+            gapX: { type: "number" },
+            gapY: { type: "number" },
+            offset: { type: "number" }
+          }
+        },
+        columns: { type: "array", items: { type: "string" }, description: "Columns to include, in this order." },
+        filter: {
+          description: "Row filter(s), e.g. \"Category = Growth\", \"weight >= 3\", \"non-empty Definition\".",
+          oneOf: [{ type: "string" }, { type: "array", items: { type: "string" } }]
+        },
+        skipHeader: { type: "boolean" },
+        template: { type: "string", description: "Row template, e.g. \"**{{Criterion}}** — {{Definition|truncate:120}}\"." },
+        itemType: { type: "string", enum: ["sticky_note", "card"] },
+        mapping: {
+          type: "object",
+          description: "Colours/tags from column values: { colorBy, tagBy, colors, legend }."
+        },
+        frame: {
+          description: "Wrap the items in a frame: true or { title, connector }.",
+          oneOf: [{ type: "boolean" }, { type: "object" }]
+        },
+        idColumn: { type: "string", description: "Column with unique row ids (default \"ID\")." },
+        syncState: { type: "object", description: "syncState to sync against instead of the stored one of the previous run." },
+        deleteRemoved: { type: "boolean", description: "Delete stickies whose cell is gone (only those listed in the stored syncState)." },
+        deleteCreatedOnFailure: { type: "boolean", description: "If an item cannot be created, delete the items this run created. Updates to existing stickies are kept." },
+        timeBudgetMs: { type: "number" },
+        dryRun: { type: "boolean" }
+      },
+      required: ["boardId", "tableItemId"]
+    }
+  },
+  {
+    name: "analyze_pdf_to_okr",
+    title: "PDF strategy → OKR catalog",
+    description: "Analyzes one or more board items together with the configured LLM (documents: PDF, Word, PowerPoint or image files; " +
+      "images; docs) and writes the resulting OKR catalog into the \"Objectives and Key Results Catalog\" doc " +
+      "and/or lays it out as board objects.",
+    handler: analyzeSelectedPdf,
+    inputSchema: {
+      type: "object",
+      properties: {
+        boardId: { type: "string", description: "Miro board id." },
+        itemId: { type: "string", description: "Id of the document, image or doc item." },
+        itemIds: {
+          type: "array",
+          items: { type: "string" },
+          description: "Ids of several items (e.g. strategy deck, annual report, board memo) for one combined catalog; replaces itemId."
+        },
+        provider: { type: "string", description: "LLM provider id from /api/llm-providers (default: the server's LLM_PROVIDER)." },
+        model: { type: "string", description: "Model or deployment name (default: the provider's first model)." },
+        prompt: { type: "string", description: "Overrides the prompt (default: the board's \"OKR Extraction Prompt\" doc)." },
+        chunkPages: { type: "integer", minimum: 1, description: "Text documents with more pages are analyzed in parts of this many pages (default: PDF_CHUNK_PAGES or 50). Uploaded PDFs are split only when they exceed the file size or the provider's page limit." },
+        force: { type: "boolean", description: "Run the model even if a cached result for the same documents, model and prompt exists." },
+        output: {
+          type: "string",
+          enum: ["doc", "board", "both"],
+          description: "doc: rewrite the catalog doc (default); board: objective frames, KR cards and connectors next to the documents."
+        }
+      },
+      required: ["boardId"]
+    }
+  }
+];
+
+export default async function handler(req, res) {
+  // --- Quick & Dirty CORS ---
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, Mcp-Session-Id, MCP-Protocol-Version");
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return;
+  }
+  if (req.method !== "POST") {
+    // No standalone SSE stream and no sessions to delete.
+    res.setHeader("Allow", "POST, OPTIONS");
+    res.status(405).send("Use POST.");
+    return;
+  }
+
+  const MCP_SERVER_TOKEN = (process.env.MCP_SERVER_TOKEN || "").trim();
+  if (!MCP_SERVER_TOKEN) {
+    res.status(500).send("Server misconfigured: MCP_SERVER_TOKEN is missing.");
+    return;
+  }
+  if (!isAuthorized(req, MCP_SERVER_TOKEN)) {
+    res.setHeader("WWW-Authenticate", "Bearer");
+    res.status(401).json({ error: "Missing or invalid bearer token." });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJson(req);
+  } catch {
+    res.status(400).json(rpcError(null, JSONRPC_PARSE_ERROR, "Parse error"));
+    return;
+  }
+
+  const messages = Array.isArray(body) ? body : [body];
+  const replies = [];
+  for (const msg of messages) {
+    const reply = await handleMessage(msg);
+    if (reply) replies.push(reply);
+  }
+
+  // Only notifications/responses in the POST: nothing to answer.
+  if (!replies.length) {
+    res.status(202).end();
+    return;
+  }
+  res.setHeader("Content-Type", "application/json");
+  res.status(200).json(Array.isArray(body) ? replies : replies[0]);
+}
+
+async function handleMessage(msg) {
+  if (!msg || typeof msg !== "object" || msg.jsonrpc !== "2.0") {
+    return rpcError(msg && typeof msg.id !== "undefined" ? msg.id : null, JSONRPC_INVALID_REQUEST, "Invalid Request");
+  }
+  const isRequest = typeof msg.method === "string" && typeof msg.id !== "undefined" && msg.id !== null;
+  if (!isRequest) return null; // notifications (e.g. notifications/initialized) and client responses
+
+  const params = (msg.params && typeof msg.params === "object") ? msg.params : {};
+
+  if (msg.method === "initialize") {
+    const requested = params.protocolVersion;
+    return rpcResult(msg.id, {
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: SERVER_INFO
+    });
+  }
+  if (msg.method === "ping") return rpcResult(msg.id, {});
+  if (msg.method === "tools/list") {
+    return rpcResult(msg.id, {
+      tools: TOOLS.map((t) => ({ name: t.name, title: t.title, description: t.description, inputSchema: t.inputSchema }))
+    });
+  }
+  if (msg.method === "tools/call") {
+    const tool = TOOLS.find((t) => t.name === params.name);
+    if (!tool) return rpcError(msg.id, JSONRPC_INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    return rpcResult(msg.id, await callTool(tool, params.arguments));
+  }
+
+  return rpcError(msg.id, JSONRPC_METHOD_NOT_FOUND, `Method not found: ${msg.method}`);
+}
+
+// Tool failures are results with isError (so the agent sees them), not JSON-RPC errors.
+async function callTool(tool, args) {
+  const input = (args && typeof args === "object" && !Array.isArray(args)) ? args : {};
+
+  const missing = tool.inputSchema.required.filter((k) => typeof input[k] !== "string" || !input[k].trim());
+  if (missing.length) {
+    return toolError(`Missing required argument(s): ${missing.join(", ")}.`);
+  }
+
+  const body = {};
+  for (const k of Object.keys(tool.inputSchema.properties)) {
+    if (typeof input[k] !== "undefined") body[k] = input[k];
+  }
+
+  try {
+    const out = await invokeHandler(tool.handler, body);
+    if (out.status >= 200 && out.status < 300 && out.body && typeof out.body === "object") {
+      return { content: [{ type: "text", text: JSON.stringify(out.body) }], structuredContent: out.body };
+    }
+    const text = typeof out.body === "string" ? out.body : JSON.stringify(out.body);
+    return toolError(`HTTP ${out.status}: ${text}`);
+  } catch (e) {
+    return toolError(e && e.message ? e.message : String(e));
+  }
+}
+
+// Runs a Vercel-style (req, res) handler with a JSON body and captures status + body.
+async function invokeHandler(fn, body) {
+  const out = { status: 200, body: null };
+  const req = { method: "POST", headers: { "content-type": "application/json" }, body };
+  const res = {
+    setHeader() {},
+    status(code) {
+      out.status = code;
+      return this;
+    },
+    json(obj) {
+      out.body = obj;
+      return this;
+    },
+    send(data) {
+      out.body = data;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+  await fn(req, res);
+  return out;
+}
+
+function toolError(text) {
+  return { content: [{ type: "text", text }], isError: true };
+}
+
+function rpcResult(id, result) {
+  return { jsonrpc: "2.0", id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: "2.0", id, error: { code, message } };
+}
+
+function isAuthorized(req, expected) {
+  const header = String((req.headers && req.headers.authorization) || "");
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (!m) return false;
+  const a = Buffer.from(m[1].trim());
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
@@ -0,0 +1,334 @@
+import { mcpStartSession, mcpCloseSession, mcpListTools, mcpCallTool } from "./_lib/mcp-client.js";
+import { resolveMcpToken, sendMcpError } from "./_lib/mcp-oauth.js";
+import { readJson, miroGetJson } from "./_lib/miro-rest.js";
+import { loadStickiesInFrame, stickyHtmlToText } from "./_lib/board-items.js";
+import {
+  ROWS_PER_WRITE,
+  WRITE_ROWS_TOOLS,
+  mcpListAllTableRows,
+  buildTableToolArgs,
+  extractToolPayload,
+  normalizeColumns,
+  findTool,
+  findColumn,
+  pickRowsKey,
+  rowsSchemaItem,
+  denormalizeRows
+} from "./_lib/mcp-tables.js";
+
+// Table created when no tableItemId is given (the one the Lovable prompt in index.html expects).
+const DEFAULT_TABLE_TITLE = "Voted Criterias";
+
+// Default sticky text → column rule: "first line → Criterion, rest → Definition".
+const DEFAULT_MAPPING = {
+  Criterion: "firstLine",
+  Definition: "rest"
+};
+
+// Tool names tried in order (Miro MCP tool names have changed between releases).
+const CREATE_TABLE_TOOLS = ["table_create", "create_table"];
+
+export default async function handler(req, res) {
+  // --- Quick & Dirty CORS ---
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return;
+  }
+  if (req.method !== "POST") {
+    res.status(405).send("Use POST.");
+    return;
+  }
+
+  const MIRO_ACCESS_TOKEN = (process.env.MIRO_ACCESS_TOKEN || "").trim();
+  if (!MIRO_ACCESS_TOKEN) {
+    res.status(500).send("Server misconfigured: MIRO_ACCESS_TOKEN is missing.");
+    return;
+  }
+
+  // Same MCP token fallback (and body.mcpAuth sign-in) as table-to-stickies-mcp.js.
+  const MIRO_MCP_ACCESS_TOKEN = (process.env.MIRO_MCP_ACCESS_TOKEN || "").trim();
+  const MCP_TOKEN = MIRO_MCP_ACCESS_TOKEN || MIRO_ACCESS_TOKEN;
+
+  const body = await readJson(req).catch(() => null);
+  if (!body) {
+    res.status(400).send("Invalid JSON body.");
+    return;
+  }
+
+  const { boardId, stickyIds, frameId, tableItemId, tableTitle, mapping } = body;
+  const hasStickyIds = Array.isArray(stickyIds) && stickyIds.length > 0;
+
+  if (!boardId || (!hasStickyIds && !frameId)) {
+    res.status(400).send("boardId and stickyIds or frameId missing.");
+    return;
+  }
+
+  let mcpAuth;
+  try {
+    mcpAuth = await resolveMcpToken(body.mcpAuth, MCP_TOKEN);
+  } catch (e) {
+    res.status(e && e.status ? e.status : 401).json({ error: e && e.message ? e.message : String(e), signInUrl: "/api/mcp-oauth-start" });
+    return;
+  }
+
+  let rules;
+  try {
+    rules = parseMappingRules(mapping || DEFAULT_MAPPING);
+  } catch (e) {
+    sendMcpError(res, 400, e && e.message ? e.message : String(e), mcpAuth);
+    return;
+  }
+
+  const effectiveTableTitle =
+    (typeof tableTitle === "string" && tableTitle.trim()) ? tableTitle.trim() : DEFAULT_TABLE_TITLE;
+
+  let mcp = null;
+  try {
+    // 1) Read the stickies via REST
+    const stickies = hasStickyIds
+      ? await loadStickiesById(boardId, MIRO_ACCESS_TOKEN, stickyIds)
+      : await loadStickiesInFrame(boardId, MIRO_ACCESS_TOKEN, frameId);
+
+    const records = [];
+    let skippedCount = 0;
+
+    for (const s of stickies) {
+      const text = stickyHtmlToText(s && s.data ? s.data.content : "");
+      if (!text) {
+        skippedCount++;
+        continue;
+      }
+      records.push(applyMappingRules(rules, text));
+    }
+
+    if (!records.length) {
+      res.status(400).json({ error: "No non-empty sticky notes found.", stickyCount: stickies.length, mcpAuth: mcpAuth.refreshed || undefined });
+      return;
+    }
+
+    // 2) Resolve target table via MCP (create it if needed)
+    mcp = await mcpStartSession(mcpAuth.token);
+    const tools = await mcpListTools(mcp);
+
+    const listTool = findTool(tools, ["table_list_rows"]);
+    const writeTool = findTool(tools, WRITE_ROWS_TOOLS);
+    if (!writeTool) {
+      res.status(501).json({
+        error: "MCP server exposes no tool to write table rows.",
+        tried: WRITE_ROWS_TOOLS,
+        available: tools.map((t) => t && t.name).filter(Boolean),
+        mcpAuth: mcpAuth.refreshed || undefined
+      });
+      return;
+    }
+
+    let targetTableId = tableItemId ? String(tableItemId) : null;
+    let createdTable = false;
+
+    if (!targetTableId) {
+      const createTool = findTool(tools, CREATE_TABLE_TOOLS);
+      if (!createTool) {
+        res.status(501).json({
+          error: "No tableItemId given and MCP server exposes no tool to create a table.",
+          tried: CREATE_TABLE_TOOLS,
+          mcpAuth: mcpAuth.refreshed || undefined
+        });
+        return;
+      }
+
+      const createArgs = buildCreateTableArgs(
+        createTool.inputSchema || null,
+        boardId,
+        effectiveTableTitle,
+        rules.map((r) => r.column),
+        frameId
+      );
+      const created = extractToolPayload(await mcpCallTool(mcp, createTool.name, createArgs));
+
+      targetTableId = extractCreatedTableId(created);
+      if (!targetTableId) {
+        res.status(502).json({ error: "MCP table creation returned no table id.", result: created, mcpAuth: mcpAuth.refreshed || undefined });
+        return;
+      }
+      createdTable = true;
+    }
+
+    // 3) Match mapped columns to the table's real columns
+    let columns = [];
+    if (listTool) {
+      const existing = await mcpListAllTableRows(mcp, listTool.inputSchema || null, boardId, targetTableId);
+      columns = existing.columns;
+    }
+    if (!columns.length) {
+      columns = normalizeColumns(rules.map((r) => r.column));
+    }
+
+    const missing = rules
+      .map((r) => r.column)
+      .filter((title) => !findColumn(columns, title));
+
+    if (missing.length) {
+      res.status(400).json({
+        error: "Mapping refers to columns the table does not have.",
+        missing,
+        available: columns.map((c) => c.title),
+        mcpAuth: mcpAuth.refreshed || undefined
+      });
+      return;
+    }
+
+    // 4) Append rows via MCP
+    const writeSchema = writeTool.inputSchema || null;
+    const rowsKey = pickRowsKey(writeSchema);
+    const rowItemSchema = rowsSchemaItem(writeSchema, rowsKey);
+
+    let rowsWritten = 0;
+    for (let i = 0; i < records.length; i += ROWS_PER_WRITE) {
+      const batch = records.slice(i, i + ROWS_PER_WRITE);
+      const args = buildTableToolArgs(writeSchema, boardId, targetTableId);
+      args[rowsKey] = denormalizeRows(batch, columns, rowItemSchema);
+
+      extractToolPayload(await mcpCallTool(mcp, writeTool.name, args));
+      rowsWritten += batch.length;
+    }
+
+    res.status(200).json({
+      ok: true,
+      boardId,
+      tableItemId: targetTableId,
+      createdTable,
+      tableTitle: createdTable ? effectiveTableTitle : undefined,
+      columns: columns.map((c) => c.title),
+      stickyCount: stickies.length,
+      skippedCount,
+      rowsWritten,
+      mcpAuth: mcpAuth.refreshed || undefined
+    });
+  } catch (e) {
+    sendMcpError(res, 500, e && e.message ? e.message : String(e), mcpAuth);
+  } finally {
+    await mcpCloseSession(mcp);
+  }
+}
+
+// --------------------
+// Sticky loading (REST)
+// --------------------
+
+async function loadStickiesById(boardId, token, ids) {
+  const stickies = [];
+  for (const id of ids) {
+    if (!id) continue;
+    const item = await miroGetJson(
+      `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(String(id))}`,
+      token
+    );
+    if (item && String(item.type || "") === "sticky_note") stickies.push(item);
+  }
+  return stickies;
+}
+
+// --------------------
+// Mapping rules (sticky text → column values)
+// --------------------
+// mapping: { "<column title>": "<source>" } with source one of
+//   "firstLine" | "rest" (all but the first line) | "all" | "line:<n>" (1-based)
+
+function parseMappingRules(mapping) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error("mapping must be an object like { \"Criterion\": \"firstLine\", \"Definition\": \"rest\" }.");
+  }
+
+  const rules = [];
+  for (const column of Object.keys(mapping)) {
+    const source = String(mapping[column] || "").trim();
+    const lineMatch = source.match(/^line:(\d+)$/i);
+
+    if (source === "firstLine" || source === "rest" || source === "all") {
+      rules.push({ column, source, line: null });
+    } else if (lineMatch && Number(lineMatch[1]) >= 1) {
+      rules.push({ column, source: "line", line: Number(lineMatch[1]) });
+    } else {
+      throw new Error(`Unknown mapping source "${source}" for column "${column}". Use firstLine, rest, all or line:<n>.`);
+    }
+  }
+
+  if (!rules.length) throw new Error("mapping has no columns.");
+  return rules;
+}
+
+function applyMappingRules(rules, text) {
+  const lines = String(text || "").split("\n");
+  const record = {};
+
+  for (const r of rules) {
+    let value = "";
+    if (r.source === "firstLine") value = lines[0] || "";
+    else if (r.source === "rest") value = lines.slice(1).join("\n");
+    else if (r.source === "all") value = lines.join("\n");
+    else if (r.source === "line") value = lines[r.line - 1] || "";
+    record[r.column] = value.trim();
+  }
+
+  return record;
+}
+
+// --------------------
+// MCP table write helpers
+// --------------------
+
+function buildCreateTableArgs(inputSchema, boardId, title, columnTitles, frameId) {
+  const args = buildTableToolArgs(inputSchema, boardId, null);
+
+  const propsObj = (inputSchema && inputSchema.properties && typeof inputSchema.properties === "object")
+    ? inputSchema.properties
+    : {};
+  const props = Object.keys(propsObj);
+  const has = (k) => props.includes(k);
+
+  // Title
+  if (has("title")) args.title = title;
+  else if (has("name")) args.name = title;
+  else if (props.length === 0) args.title = title;
+
+  // Columns: plain strings or { title } objects, depending on the schema.
+  const columnsKey = has("columns") ? "columns" : (has("column_titles") ? "column_titles" : (props.length === 0 ? "columns" : null));
+  if (columnsKey) {
+    const itemSchema = propsObj[columnsKey] && propsObj[columnsKey].items ? propsObj[columnsKey].items : null;
+    const wantsStrings = itemSchema && itemSchema.type === "string";
+    args[columnsKey] = wantsStrings
+      ? columnTitles.slice()
+      : columnTitles.map((t) => ({ title: t, type: "text" }));
+  }
+
+  // Place it into the source frame when the tool supports a parent.
+  if (frameId) {
+    if (has("parent_id")) args.parent_id = String(frameId);
+    else if (has("parentId")) args.parentId = String(frameId);
+    else if (has("frame_id")) args.frame_id = String(frameId);
+  }
+
+  return args;
+}
+
+function extractCreatedTableId(payload) {
+  if (!payload || typeof payload !== "object") return null;
+  const candidates = [
+    payload.table_id,
+    payload.tableId,
+    payload.item_id,
+    payload.itemId,
+    payload.id,
+    payload.table && payload.table.id,
+    payload.item && payload.item.id
+  ];
+  for (const c of candidates) {
+    if (typeof c === "string" && c) return c;
+    if (typeof c === "number") return String(c);
+  }
+  return null;
+}
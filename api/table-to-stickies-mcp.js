@@ -1,3 +1,88 @@
+import { createHash } from "node:crypto";
+import { mcpStartSession, mcpCloseSession, mcpListTools } from "./_lib/mcp-client.js";
+import { resolveMcpToken, sendMcpError } from "./_lib/mcp-oauth.js";
+import { readCache, writeCache } from "./_lib/job-store.js";
+import { readJson, miroGetJson, miroPostJson, miroPatchJson, miroDelete } from "./_lib/miro-rest.js";
+import { extractItemTitle } from "./_lib/board-items.js";
+import { mcpListAllTableRows } from "./_lib/mcp-tables.js";
+
+// Sticky layout defaults (mode "grid" = one sticky per cell, header row on top, right of the table).
+// Without stickyWidth/stickyHeight the stickies keep Miro's default size and shape.
+const DEFAULT_LAYOUT = {
+  mode: "grid",
+  stickyWidth: null,
+  stickyHeight: null,
+  gapX: 40,
+  gapY: 30,
+  anchor: "right",
+  offset: 200,
+  groupBy: null,
+  cardsPerRow: null
+};
+
+// Column pitch when no stickyWidth is set (leaves room next to the default sticky).
+const DEFAULT_COLUMN_WIDTH = 280;
+// Miro sizes stickies by width only: a square keeps the default 199×228 proportions, a rectangle is
+// about 0.65 × its width tall.
+const MIRO_SQUARE_STICKY = { width: 199, height: 228 };
+const RECTANGLE_STICKY_RATIO = 0.65;
+
+const LAYOUT_MODES = ["grid", "swimlanes", "groupBy", "cards"];
+const LAYOUT_ANCHORS = ["right", "below", "left"];
+
+// Miro sticky note fill colours (approximate hex), used to map table option colours to the nearest one.
+const STICKY_COLORS = {
+  gray: "#e6e6e6",
+  light_yellow: "#fff9b1",
+  yellow: "#f5d128",
+  orange: "#ff9d48",
+  light_green: "#d5f692",
+  green: "#c9df56",
+  dark_green: "#93d275",
+  cyan: "#67c6c0",
+  light_pink: "#ffcee0",
+  pink: "#ea94bb",
+  violet: "#c6a2d2",
+  red: "#f0939d",
+  light_blue: "#a6ccf5",
+  blue: "#6cd8fa",
+  dark_blue: "#9ea9ff",
+  black: "#000000"
+};
+
+// Assigned in order to colorBy values that have neither an explicit nor a table-provided colour.
+const STICKY_COLOR_CYCLE = [
+  "light_blue", "light_green", "orange", "light_pink", "violet", "cyan", "yellow",
+  "red", "dark_green", "blue", "pink", "green", "dark_blue", "gray"
+];
+
+// Miro allows at most 8 tags per item.
+const MAX_TAGS_PER_ITEM = 8;
+
+// Output item types for table rows ("card" = Miro card items; headers and legend stay stickies).
+const OUTPUT_ITEM_TYPES = ["sticky_note", "card"];
+
+// Miro's default card theme colour (used when a row has no mapped colour).
+const DEFAULT_CARD_THEME = "#2d9bf0";
+
+// Miro bulk item creation accepts at most 20 items per request.
+const MIRO_BULK_LIMIT = 20;
+
+// Parallel REST requests for updates, deletes, tags and per-item fallbacks.
+const MIRO_CONCURRENCY = 4;
+
+// Stop scheduling board writes after this budget (before the serverless timeout); the caller resumes
+// by calling again with the returned syncState. Override via FUNCTION_TIME_BUDGET_MS or body.timeBudgetMs.
+const DEFAULT_TIME_BUDGET_MS = 50000;
+
+// Padding between the generated items and the frame around them.
+const FRAME_PADDING = 100;
+
+// Version of the syncState object. It is returned to the caller and also stored per board and table
+// (job store, see api/_lib/job-store.js), so a plain re-run finds the stickies of the previous one.
+const SYNC_STATE_VERSION = 1;
+const SYNC_STATE_TTL_SECONDS = 180 * 24 * 60 * 60;
+
 export default async function handler(req, res) {
   // --- Quick & Dirty CORS ---
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -13,14 +98,16 @@ export default async function handler(req, res) {
     return;
   }
 
+  const startedAt = Date.now();
+
   const MIRO_ACCESS_TOKEN = (process.env.MIRO_ACCESS_TOKEN || "").trim();
   if (!MIRO_ACCESS_TOKEN) {
     res.status(500).send("Server misconfigured: MIRO_ACCESS_TOKEN is missing.");
     return;
   }
 
-  // MCP token optional: if not set, we try MIRO_ACCESS_TOKEN.
-  // If MCP server rejects it, set MIRO_MCP_ACCESS_TOKEN in Vercel env.
+  // Shared MCP token (used when the caller is not signed in): MIRO_MCP_ACCESS_TOKEN, else MIRO_ACCESS_TOKEN.
+  // Board writes always use MIRO_ACCESS_TOKEN.
   const MIRO_MCP_ACCESS_TOKEN = (process.env.MIRO_MCP_ACCESS_TOKEN || "").trim();
   const MCP_TOKEN = MIRO_MCP_ACCESS_TOKEN || MIRO_ACCESS_TOKEN;
 
@@ -36,6 +123,32 @@ export default async function handler(req, res) {
     return;
   }
 
+  // Signed-in users send the encrypted token blob from /api/mcp-oauth-callback; MCP calls (the table
+  // read) then run as that user, the sticky writes do not (see api/_lib/mcp-oauth.js). A refreshed blob
+  // comes back as `mcpAuth` in the response and replaces the old one.
+  let mcpAuth;
+  try {
+    mcpAuth = await resolveMcpToken(body.mcpAuth, MCP_TOKEN);
+  } catch (e) {
+    res.status(e && e.status ? e.status : 401).json({ error: e && e.message ? e.message : String(e), signInUrl: "/api/mcp-oauth-start" });
+    return;
+  }
+
+  const hasTemplate = typeof body.template !== "undefined" && body.template !== null;
+
+  let layout;
+  let frameOpt;
+  let itemType;
+  try {
+    // A row template renders one item per row, so it defaults to the cards layout.
+    layout = normalizeLayout(body.layout, hasTemplate ? "cards" : DEFAULT_LAYOUT.mode);
+    frameOpt = normalizeFrameOption(body.frame);
+    itemType = normalizeItemType(body.itemType);
+  } catch (e) {
+    sendMcpError(res, 400, e && e.message ? e.message : String(e), mcpAuth);
+    return;
+  }
+
   try {
     // 1) Get table item geometry/position via REST (for placement)
     const tableItem = await miroGetJson(
@@ -53,92 +166,245 @@ export default async function handler(req, res) {
 
     // 2) Read table rows via MCP tool table_list_rows
     // Tools are documented; table_list_rows exists. :contentReference[oaicite:3]{index=3}
-    const mcp = await mcpStartSession(MCP_TOKEN);
-
-    const toolsList = await mcpRequestJson(mcp, {
-      jsonrpc: "2.0",
-      id: 2,
-      method: "tools/list",
-      params: {}
-    });
-
-    const tools = toolsList && toolsList.result && Array.isArray(toolsList.result.tools) ? toolsList.result.tools : [];
-    const tableTool = tools.find((t) => t && t.name === "table_list_rows");
-
-    // If tool schema not available, still try a reasonable default.
-    const inputSchema = tableTool && tableTool.inputSchema ? tableTool.inputSchema : null;
-
-    const args = buildTableListArgs(inputSchema, boardId, tableItemId);
+    // The MCP session is only needed for reading; it is closed before any board writes.
+    const mcp = await mcpStartSession(mcpAuth.token);
+    let tableData;
+    try {
+      const tools = await mcpListTools(mcp);
+      const tableTool = tools.find((t) => t && t.name === "table_list_rows");
 
-    const call = await mcpRequestJson(mcp, {
-      jsonrpc: "2.0",
-      id: 3,
-      method: "tools/call",
-      params: {
-        name: "table_list_rows",
-        arguments: args
-      }
-    });
+      // If tool schema not available, still try a reasonable default.
+      const inputSchema = tableTool && tableTool.inputSchema ? tableTool.inputSchema : null;
 
-    const tableData = parseTableListRowsCall(call);
+      // table_list_rows is paginated: follow cursor/offset until every row is read.
+      tableData = await mcpListAllTableRows(mcp, inputSchema, boardId, tableItemId);
+    } finally {
+      await mcpCloseSession(mcp);
+    }
     const columns = tableData.columns;
     const rows = tableData.rows;
 
     if (!columns.length || !rows.length) {
       res.status(500).json({
         error: "MCP table_list_rows returned no rows/columns.",
-        debug: { columnsCount: columns.length, rowsCount: rows.length, args, call }
+        debug: {
+          columnsCount: columns.length,
+          rowsCount: rows.length,
+          pageCount: tableData.pageCount,
+          args: tableData.firstArgs,
+          call: tableData.lastCall
+        },
+        mcpAuth: mcpAuth.refreshed || undefined
       });
       return;
     }
 
-    // We include header row as stickies + all data rows.
-    const headerRow = columns.map((c) => c.title);
-    const allRows = [headerRow, ...rows];
+    // 3) Column selection/order and row filters (on the normalized rows)
+    let selected;
+    let styleMapping;
+    let cardText = null;
+    try {
+      selected = selectTableData(columns, rows, tableData.cellColors, body.columns, body.filter);
+      styleMapping = normalizeStyleMapping(body.mapping, columns);
 
-    // 3) Create stickies (each cell -> sticky) via REST
-    // Sticky endpoint exists. :contentReference[oaicite:4]{index=4}
-    const stickyW = 280;
-    const stickyH = 170;
-    const gapX = 40;
-    const gapY = 30;
+      if (hasTemplate) {
+        if (layout.mode !== "cards" && layout.mode !== "groupBy") {
+          throw new Error(`template renders one item per row; use layout.mode "cards" or "groupBy" (not "${layout.mode}").`);
+        }
+        // Placeholders may name any table column, not only the selected ones.
+        const renderRow = compileRowTemplate(body.template, columns);
+        cardText = (r) => renderRow(selected.fullRows[r]);
+      }
+    } catch (e) {
+      sendMcpError(res, 400, e && e.message ? e.message : String(e), mcpAuth);
+      return;
+    }
 
-    const stepX = stickyW + gapX;
-    const stepY = stickyH + gapY;
+    // 4) Plan sticky positions for the chosen layout mode
+    let plan;
+    try {
+      plan = planLayout(selected.columns, selected.rows, { x: tableX, y: tableY, width: tableW, height: tableH }, layout, {
+        includeHeader: body.skipHeader !== true,
+        cardText
+      });
+    } catch (e) {
+      sendMcpError(res, 400, e && e.message ? e.message : String(e), mcpAuth);
+      return;
+    }
 
-    const startX = tableX + (tableW / 2) + 200 + (stickyW / 2);
+    // 5) Colours, tags and legend from column values (any table column, selected or not)
+    const styles = resolveRowStyles(styleMapping, columns, selected.fullRows, selected.cellColors);
+    applyRowStyles(plan, styles, styleMapping, columns, selected.sourceIndex, layout);
+    if (itemType === "card") useCardItems(plan);
 
-    const totalRows = allRows.length;
-    const gridHeight = (totalRows > 1) ? ((totalRows - 1) * stepY) : 0;
-    const startY = tableY - (gridHeight / 2);
+    const dryRun = body.dryRun === true;
+
+    const styleErrors = [];
+    let tagIds = new Map();
+    if (styles.tagTitles.length && !dryRun) {
+      try {
+        tagIds = await ensureBoardTags(boardId, MIRO_ACCESS_TOKEN, styles.tagTitles);
+      } catch (e) {
+        styleErrors.push(e && e.message ? e.message : String(e));
+      }
+    }
 
-    const createdIds = [];
+    // 6) Optional frame around everything; header row becomes the frame's column labels.
+    if (frameOpt) {
+      convertHeadersToLabels(plan, layout);
+    }
 
-    for (let r = 0; r < allRows.length; r++) {
-      const row = allRows[r];
-      for (let c = 0; c < columns.length; c++) {
-        const text = (row && typeof row[c] === "string") ? row[c] : String(row[c] ?? "").trim();
-        const x = startX + c * stepX;
-        const y = startY + r * stepY;
+    // Cells map to the stickies made from them by earlier runs: body.syncState when passed, else the stored one.
+    const idColumn = resolveSyncIdColumn(body.idColumn, columns, rows);
+    assignSyncKeys(plan, selected.columns, syncRowKeys(rows, idColumn, selected.sourceRowIndex));
+
+    const stored = readSyncState(await loadSyncState(boardId, tableItemId), tableItemId);
+    const previous = body.syncState ? readSyncState(body.syncState, tableItemId) : stored;
+    // deleteRemoved only deletes items of the stored state: a body.syncState can name any item on the
+    // board, and the deletes run with the app's token.
+    const deletableIds = new Set(Object.values(stored.items).map((it) => it && it.id).filter(Boolean));
+
+    // Dry run: report the plan (and what a sync against syncState would do), write nothing.
+    if (dryRun) {
+      const preview = previewSync(plan, layout, previous.items);
+      res.status(200).json({
+        ok: true,
+        dryRun: true,
+        boardId,
+        tableItemId,
+        columns: selected.columns.map((c) => c.title),
+        rowCount: rows.length,
+        matchedRowCount: selected.rows.length,
+        pageCount: tableData.pageCount,
+        layout,
+        itemType,
+        legend: styles.legend,
+        bounds: plan.bounds,
+        frame: frameOpt
+          ? { title: frameOpt.title || extractItemTitle(tableItem) || "Table", box: padBounds(plan.bounds, FRAME_PADDING) }
+          : null,
+        counts: preview.counts,
+        items: preview.items,
+        mcpAuth: mcpAuth.refreshed || undefined
+      });
+      return;
+    }
 
-        const stickyId = await createStickyNote(boardId, MIRO_ACCESS_TOKEN, text, x, y);
-        if (stickyId) {
-          createdIds.push(stickyId);
+    let frame = null;
+    let connectorId = previous.connectorId;
+    let connectorCreated = false;
+    if (frameOpt) {
+      const box = padBounds(plan.bounds, FRAME_PADDING);
+      const title = frameOpt.title || extractItemTitle(tableItem) || "Table";
+      frame = await ensureFrame(boardId, MIRO_ACCESS_TOKEN, previous.frameId, title, box);
+
+      if (frameOpt.connector && (frame.created || !connectorId)) {
+        try {
+          connectorId = await createConnector(boardId, MIRO_ACCESS_TOKEN, tableItemId, frame.id);
+          connectorCreated = Boolean(connectorId);
+        } catch (e) {
+          styleErrors.push(e && e.message ? e.message : String(e));
         }
       }
     }
 
-    res.status(200).json({
-      ok: true,
+    // 7) Create / update / delete stickies via REST
+    // Sticky endpoint exists. :contentReference[oaicite:4]{index=4}
+    const sync = await syncStickies(boardId, MIRO_ACCESS_TOKEN, plan, layout, previous.items, tagIds, {
+      deleteRemoved: body.deleteRemoved === true,
+      deletableIds,
+      // "atomic" is the former name; it never undid updates either.
+      deleteCreatedOnFailure: body.deleteCreatedOnFailure === true || body.atomic === true,
+      errors: styleErrors,
+      deadline: startedAt + resolveTimeBudgetMs(body.timeBudgetMs),
+      parent: frame ? { id: frame.id, left: frame.box.left, top: frame.box.top, adoptExisting: frame.created } : null
+    });
+
+    const cellErrors = sync.failures.map((f) => describeSyncFailure(f, selected, rows, idColumn));
+
+    // Deleting the created items also removes the frame/connector this run created.
+    if (sync.createdDeleted) {
+      try {
+        if (connectorCreated) {
+          await miroDelete(
+            `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/connectors/${encodeURIComponent(connectorId)}`,
+            MIRO_ACCESS_TOKEN
+          );
+          connectorId = previous.connectorId;
+        }
+        // Stickies of earlier runs were moved into the new frame; deleting it would take them along.
+        if (frame && frame.created && !sync.adoptedIds.length) {
+          await miroDelete(
+            `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/frames/${encodeURIComponent(frame.id)}`,
+            MIRO_ACCESS_TOKEN
+          );
+          frame = null;
+        }
+      } catch (e) {
+        sync.cleanupErrors.push(e && e.message ? e.message : String(e));
+      }
+    }
+
+    const syncState = {
+      version: SYNC_STATE_VERSION,
+      tableItemId: String(tableItemId),
+      idColumn: idColumn >= 0 ? columns[idColumn].title : null,
+      frameId: frame ? frame.id : (previous.frameId || null),
+      connectorId: connectorId || null,
+      items: sync.items
+    };
+    // Stored (and so later deletable) are only items this app created or already had stored; ids that
+    // came in with body.syncState stay in the returned syncState only.
+    const trusted = new Set([...deletableIds, ...sync.createdIds]);
+    const storedItems = Object.fromEntries(Object.entries(sync.items).filter(([, it]) => it && trusted.has(it.id)));
+    let syncStateSaved = true;
+    try {
+      await storeSyncState(boardId, tableItemId, { ...syncState, items: storedItems });
+    } catch (e) {
+      syncStateSaved = false;
+      styleErrors.push(`syncState not stored: ${e && e.message ? e.message : String(e)}`);
+    }
+
+    res.status(sync.createdDeleted ? 502 : 200).json({
+      ok: !sync.createdDeleted,
+      error: sync.createdDeleted
+        ? `${cellErrors.filter((c) => c.action === "create").length} item(s) could not be created; ` +
+          `the ${sync.createdDeletedCount} item(s) created in this run were deleted again ` +
+          "(deleteCreatedOnFailure); updates to existing stickies were kept."
+        : undefined,
+      // complete=false: the time budget ran out, items failed (cellErrors) or the created items were deleted again; call again.
+      complete: sync.complete,
+      pendingCount: sync.pendingCount,
       boardId,
       tableItemId,
-      columns: columns.map((c) => c.title),
+      columns: selected.columns.map((c) => c.title),
       rowCount: rows.length,
-      createdCount: createdIds.length,
-      createdIds
+      matchedRowCount: selected.rows.length,
+      pageCount: tableData.pageCount,
+      totalRows: rows.length,
+      layout,
+      itemType,
+      legend: styles.legend,
+      tagCount: new Set(tagIds.values()).size,
+      styleErrors,
+      createdCount: sync.createdIds.length,
+      createdIds: sync.createdIds,
+      updatedCount: sync.updatedIds.length,
+      deletedCount: sync.deletedIds.length,
+      unchangedCount: sync.unchangedCount,
+      orphanedCount: sync.orphanedCount,
+      cellErrors,
+      createdDeleted: sync.createdDeleted,
+      createdDeletedCount: sync.createdDeletedCount,
+      cleanupErrors: sync.cleanupErrors,
+      frameId: frame ? frame.id : null,
+      connectorId: frame ? (connectorId || null) : null,
+      syncState,
+      syncStateSaved,
+      mcpAuth: mcpAuth.refreshed || undefined
     });
   } catch (e) {
-    res.status(500).send(e && e.message ? e.message : String(e));
+    sendMcpError(res, 500, e && e.message ? e.message : String(e), mcpAuth);
   }
 }
 
@@ -146,327 +412,1398 @@ function num(v, fallback) {
   return (typeof v === "number" && Number.isFinite(v)) ? v : fallback;
 }
 
-async function readJson(req) {
-  if (req.body) {
-    if (typeof req.body === "object") return req.body;
-    if (typeof req.body === "string") return JSON.parse(req.body);
+function stickyPayload(content, x, y, opts) {
+  const text = String(content || "").trim() || " ";
+  const payload = {
+    data: { content: text, shape: (opts && opts.shape) ? opts.shape : "square" },
+    position: { x, y, origin: "center" }
+  };
+  if (opts && typeof opts.width === "number") payload.geometry = { width: opts.width };
+  if (opts && opts.fillColor) payload.style = { fillColor: opts.fillColor };
+  if (opts && opts.parentId) payload.parent = { id: opts.parentId };
+  return payload;
+}
+
+function textPayload(content, x, y, opts) {
+  const payload = {
+    data: { content: String(content || "").trim() || " " },
+    position: { x, y, origin: "center" }
+  };
+  if (opts && typeof opts.width === "number") payload.geometry = { width: opts.width };
+  if (opts && opts.parentId) payload.parent = { id: opts.parentId };
+  return payload;
+}
+
+// Cards have a plain-text title and description: the first paragraph becomes the title.
+function cardPayload(content, x, y, opts) {
+  const lines = htmlToPlainLines(content);
+  const payload = {
+    data: { title: lines[0] || " ", description: lines.slice(1).join("\n") },
+    style: { cardTheme: toCardTheme(opts && opts.fillColor) },
+    position: { x, y, origin: "center" }
+  };
+  if (opts && typeof opts.width === "number") {
+    payload.geometry = { width: opts.width };
+    if (typeof opts.height === "number") payload.geometry.height = opts.height;
   }
-  const chunks = [];
-  for await (const chunk of req) chunks.push(chunk);
-  const raw = Buffer.concat(chunks).toString("utf8");
-  return raw ? JSON.parse(raw) : {};
+  if (opts && opts.parentId) payload.parent = { id: opts.parentId };
+  return payload;
 }
 
-async function miroGetJson(url, token) {
-  const res = await fetch(url, { method: "GET", headers: { Authorization: `Bearer ${token}` } });
-  const text = await res.text();
-  if (!res.ok) throw new Error(`Miro GET ${url} → ${res.status}: ${text}`);
-  return text ? JSON.parse(text) : null;
+function toCardTheme(fillColor) {
+  return (fillColor && STICKY_COLORS[fillColor]) || DEFAULT_CARD_THEME;
 }
 
-async function miroPostJson(url, token, payload) {
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
-    body: JSON.stringify(payload)
-  });
-  const text = await res.text();
-  if (!res.ok) throw new Error(`Miro POST ${url} → ${res.status}: ${text}`);
-  return text ? JSON.parse(text) : null;
+async function createCardItem(boardId, token, content, x, y, opts, deadline) {
+  const created = await miroPostJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/cards`,
+    token,
+    cardPayload(content, x, y, opts),
+    deadline
+  );
+  return createdId(created);
 }
 
-async function createStickyNote(boardId, token, content, x, y) {
-  const text = String(content || "").trim() || " ";
-  const payloadA = {
-    data: { content: text, shape: "square" },
-    position: { x, y, origin: "center" }
-  };
+async function updateCardItem(boardId, token, cardId, content, fillColor, deadline) {
+  const payload = cardPayload(content, 0, 0, { fillColor });
+  return miroPatchJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/cards/${encodeURIComponent(cardId)}`,
+    token,
+    fillColor ? { data: payload.data, style: payload.style } : { data: payload.data },
+    deadline
+  );
+}
+
+async function createTextItem(boardId, token, content, x, y, opts, deadline) {
+  const created = await miroPostJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/texts`,
+    token,
+    textPayload(content, x, y, opts),
+    deadline
+  );
+  return createdId(created);
+}
+
+// A 2xx without an id is still a failed create.
+function createdId(created) {
+  if (created && created.id) return String(created.id);
+  throw new Error("Miro returned no id for the created item.");
+}
+
+async function updateTextItem(boardId, token, textId, content, deadline) {
+  return miroPatchJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/texts/${encodeURIComponent(textId)}`,
+    token,
+    { data: { content: String(content || "").trim() || " " } },
+    deadline
+  );
+}
+
+async function createStickyNote(boardId, token, content, x, y, opts, deadline) {
+  const payloadA = stickyPayload(content, x, y, opts);
 
   try {
     const created = await miroPostJson(
       `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/sticky_notes`,
       token,
-      payloadA
+      payloadA,
+      deadline
     );
-    return created && created.id ? String(created.id) : null;
+    return createdId(created);
   } catch (e1) {
+    // Rate limit / server errors were already retried; a different payload shape won't help.
+    if (e1 && (e1.status === 429 || e1.status >= 500)) throw e1;
+
     // Fallback payload shape (some environments accept root-level fields)
     const payloadB = {
-      content: text,
-      shape: "square",
-      position: { x, y, origin: "center" }
+      content: payloadA.data.content,
+      shape: payloadA.data.shape,
+      position: payloadA.position
     };
+    if (payloadA.geometry) payloadB.geometry = payloadA.geometry;
+    if (payloadA.style) payloadB.style = payloadA.style;
+    if (payloadA.parent) payloadB.parent = payloadA.parent;
     try {
       const created = await miroPostJson(
         `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/sticky_notes`,
         token,
-        payloadB
+        payloadB,
+        deadline
       );
-      return created && created.id ? String(created.id) : null;
-    } catch (e2) {
-      return null;
+      return createdId(created);
+    } catch {
+      // Report the error of the documented payload shape, not the fallback's.
+      throw e1;
     }
   }
 }
 
-// --------------------
-// MCP CLIENT (Streamable HTTP JSON-RPC)
-// --------------------
-// MCP endpoint URL per Miro docs. :contentReference[oaicite:5]{index=5}
-// Transport spec: POST JSON-RPC to endpoint; server may return JSON or SSE. :contentReference[oaicite:6]{index=6}
-
-async function mcpStartSession(token) {
-  const endpoint = "https://mcp.miro.com/";
-  const initReq = {
-    jsonrpc: "2.0",
-    id: 1,
-    method: "initialize",
-    params: {
-      protocolVersion: "2025-06-18",
-      capabilities: {},
-      clientInfo: { name: "datentreiber-miro-app", version: "1.0" }
+// Creates up to MIRO_BULK_LIMIT items (stickies/cards/texts) in one request. The bulk endpoint is all-or-nothing,
+// so on a non-retryable failure we fall back to single creates for this chunk.
+// Returns [{ id, error }] aligned with specs (error = { status, message } when that item failed).
+async function createBoardItemsBulk(boardId, token, specs, deadline) {
+  const payload = specs.map((sp) => {
+    if (sp.itemType === "text") return Object.assign({ type: "text" }, textPayload(sp.text, sp.x, sp.y, sp.opts));
+    if (sp.itemType === "card") return Object.assign({ type: "card" }, cardPayload(sp.text, sp.x, sp.y, sp.opts));
+    return Object.assign({ type: "sticky_note" }, stickyPayload(sp.text, sp.x, sp.y, sp.opts));
+  });
+
+  try {
+    const created = await miroPostJson(
+      `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/bulk`,
+      token,
+      payload,
+      deadline
+    );
+    const list = Array.isArray(created) ? created : (created && Array.isArray(created.data) ? created.data : []);
+    if (list.length === specs.length) {
+      return list.map((it) => (it && it.id
+        ? { id: String(it.id), error: null }
+        : { id: null, error: { status: null, message: "Miro returned no id for the created item." } }));
     }
+  } catch (e) {
+    if (e && (e.status === 429 || e.status >= 500)) return specs.map(() => ({ id: null, error: itemError(e) }));
+  }
+
+  const results = new Array(specs.length).fill(null);
+  await runPool(specs.length, MIRO_CONCURRENCY, null, async (i) => {
+    const sp = specs[i];
+    try {
+      let id;
+      if (sp.itemType === "text") id = await createTextItem(boardId, token, sp.text, sp.x, sp.y, sp.opts, deadline);
+      else if (sp.itemType === "card") id = await createCardItem(boardId, token, sp.text, sp.x, sp.y, sp.opts, deadline);
+      else id = await createStickyNote(boardId, token, sp.text, sp.x, sp.y, sp.opts, deadline);
+      results[i] = { id, error: null };
+    } catch (e) {
+      results[i] = { id: null, error: itemError(e) };
+    }
+  });
+  return results;
+}
+
+function itemError(e) {
+  return {
+    status: e && typeof e.status === "number" ? e.status : null,
+    message: e && e.message ? e.message : String(e)
   };
+}
+
+// Runs task(0..count-1) with at most `limit` in flight. Stops taking new tasks once `deadline` passes.
+// Returns the number of tasks that were started.
+async function runPool(count, limit, deadline, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < count) {
+      if (deadline && Date.now() >= deadline) return;
+      const i = next++;
+      await task(i);
+    }
+  };
+  const workers = [];
+  for (let w = 0; w < Math.min(limit, count); w++) workers.push(worker());
+  await Promise.all(workers);
+  return next;
+}
+
+function resolveTimeBudgetMs(requested) {
+  const fromBody = Number(requested);
+  if (Number.isFinite(fromBody) && fromBody > 0) return fromBody;
+  const fromEnv = Number((process.env.FUNCTION_TIME_BUDGET_MS || "").trim());
+  if (Number.isFinite(fromEnv) && fromEnv > 0) return fromEnv;
+  return DEFAULT_TIME_BUDGET_MS;
+}
+
+async function ensureBoardTags(boardId, token, titles) {
+  const ids = new Map();
+  const existing = new Map();
+
+  // Board tags are offset-paginated.
+  for (let offset = 0, i = 0; i < 20; i++) {
+    const url = new URL(`https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/tags`);
+    url.searchParams.set("limit", "50");
+    url.searchParams.set("offset", String(offset));
+
+    const page = await miroGetJson(url.toString(), token);
+    const tags = page && Array.isArray(page.data) ? page.data : [];
+    for (const t of tags) {
+      if (t && t.id && typeof t.title === "string") existing.set(t.title.trim().toLowerCase(), String(t.id));
+    }
+    if (tags.length < 50) break;
+    offset += tags.length;
+  }
+
+  for (const title of titles) {
+    const found = existing.get(title.toLowerCase());
+    if (found) {
+      ids.set(title, found);
+      continue;
+    }
+    const created = await miroPostJson(
+      `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/tags`,
+      token,
+      { title }
+    );
+    if (created && created.id) {
+      ids.set(title, String(created.id));
+      existing.set(title.toLowerCase(), String(created.id));
+    }
+  }
+
+  return ids;
+}
+
+async function miroAttachTag(boardId, token, itemId, tagId, deadline) {
+  const url = `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(itemId)}?tag_id=${encodeURIComponent(tagId)}`;
+  await miroPostJson(url, token, undefined, deadline);
+  return true;
+}
+
+async function miroDetachTag(boardId, token, itemId, tagId, deadline) {
+  const url = `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(itemId)}?tag_id=${encodeURIComponent(tagId)}`;
+  await miroDelete(url, token, deadline);
+  return true;
+}
+
+async function updateStickyNote(boardId, token, stickyId, content, fillColor, deadline) {
+  const text = String(content || "").trim() || " ";
+  // No colour rule for this item: leave the (possibly hand-set) colour alone.
+  const payload = { data: { content: text } };
+  if (fillColor) payload.style = { fillColor };
+  return miroPatchJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/sticky_notes/${encodeURIComponent(stickyId)}`,
+    token,
+    payload,
+    deadline
+  );
+}
+
+// --------------------
+// Idempotent re-sync (table cell ↔ sticky mapping)
+// --------------------
+// syncState.items: { "<key>": { id, hash, tags: [tagId] } }. Keys are stable per cell: the row key comes from
+// the id column (e.g. "ID") when it is unique, otherwise from the row position.
+// Each run stores its syncState under the board and table; body.syncState replaces the stored one,
+// except that deleteRemoved never deletes an item the stored one does not list (opts.deletableIds).
+
+function resolveSyncIdColumn(idColumn, columns, rows) {
+  const explicit = (typeof idColumn === "string" && idColumn.trim()) ? idColumn.trim() : null;
+  const idx = findColumnIndex(columns, explicit || "ID");
+  if (idx < 0) return -1;
+
+  const values = rows.map((r) => r[idx] || "");
+  const unique = values.every(Boolean) && new Set(values).size === values.length;
+  return unique ? idx : -1;
+}
+
+// Row keys of the rows that made it through the filter, by their position in the full table
+// (so changing the filter does not shift the keys of the remaining rows).
+function syncRowKeys(rows, idColumn, sourceRowIndex) {
+  return sourceRowIndex.map((r) => (idColumn >= 0 ? `id=${rows[r][idColumn]}` : `row=${r}`));
+}
+
+function assignSyncKeys(plan, columns, rowKeys) {
+  const rowKey = (r) => rowKeys[r];
+
+  for (const item of plan.items) {
+    const colKey = item.columnIndex !== null ? columns[item.columnIndex].id : "";
+    if (item.kind === "cell") item.key = `cell:${rowKey(item.rowIndex)}:${colKey}`;
+    else if (item.kind === "card") item.key = `card:${rowKey(item.rowIndex)}`;
+    else if (item.kind === "header") item.key = `header:${colKey}`;
+    else if (item.kind === "group") item.key = `group:${item.text}`;
+    else item.key = `${item.kind}:${item.text}`;
+
+    // Labels and cards are other item types: never reuse a sticky mapping for them (and vice versa).
+    if (item.itemType && item.itemType !== "sticky_note") item.key = `${item.itemType}:${item.key}`;
+  }
+}
 
-  const { json, sessionId } = await mcpPost(endpoint, token, null, initReq);
-  return { endpoint, token, sessionId };
+function syncStateKey(boardId, tableItemId) {
+  return `sync:${createHash("sha1").update(`${boardId}\n${tableItemId}`).digest("hex")}`;
 }
 
-async function mcpRequestJson(mcp, reqObj) {
-  const { json } = await mcpPost(mcp.endpoint, mcp.token, mcp.sessionId, reqObj);
-  return json;
+// A store that cannot be read just means starting without the earlier mapping.
+async function loadSyncState(boardId, tableItemId) {
+  return readCache(syncStateKey(boardId, tableItemId)).catch(() => null);
 }
 
-async function mcpPost(endpoint, token, sessionId, reqObj) {
-  const headers = {
-    "Content-Type": "application/json",
-    "Accept": "application/json, text/event-stream",
-    "Authorization": `Bearer ${token}`,
-    // helps some servers that validate Origin
-    "Origin": "https://miro-app-mcp.vercel.app"
+async function storeSyncState(boardId, tableItemId, syncState) {
+  await writeCache(syncStateKey(boardId, tableItemId), syncState, SYNC_STATE_TTL_SECONDS);
+}
+
+function readSyncState(raw, tableItemId) {
+  const empty = { items: {}, frameId: null, connectorId: null };
+  if (!raw || typeof raw !== "object") return empty;
+  if (raw.version !== SYNC_STATE_VERSION) return empty;
+  if (String(raw.tableItemId || "") !== String(tableItemId)) return empty;
+  return {
+    items: (raw.items && typeof raw.items === "object") ? raw.items : {},
+    frameId: typeof raw.frameId === "string" && raw.frameId ? raw.frameId : null,
+    connectorId: typeof raw.connectorId === "string" && raw.connectorId ? raw.connectorId : null
   };
-  if (sessionId) {
-    headers["Mcp-Session-Id"] = sessionId;
+}
+
+function stickyHash(item) {
+  return createHash("sha1")
+    .update(JSON.stringify([item.text || "", item.fillColor || null, item.tags || []]))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+async function syncStickies(boardId, token, plan, layout, previous, tagIds, opts) {
+  const items = {};
+  const createdIds = [];
+  const updatedIds = [];
+  const deletedIds = [];
+  // Items that could not be written: { item, action: "create" | "update", status, message }.
+  const failures = [];
+  let unchangedCount = 0;
+  let orphanedCount = 0;
+
+  const errMsg = (e) => (e && e.message ? e.message : String(e));
+
+  // 1) Classify planned items against the previous run.
+  const toUpdate = [];
+  const toCreate = [];
+
+  for (const item of plan.items) {
+    const entry = {
+      item,
+      hash: stickyHash(item),
+      tags: (item.tags || []).map((t) => tagIds.get(t)).filter(Boolean),
+      prev: previous[item.key] && previous[item.key].id ? previous[item.key] : null
+    };
+
+    if (entry.prev && entry.prev.hash === entry.hash) {
+      unchangedCount++;
+      items[item.key] = entry.prev;
+    } else if (entry.prev) {
+      toUpdate.push(entry);
+    } else {
+      toCreate.push(entry);
+    }
   }
 
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(reqObj),
-    redirect: "follow"
+  // 2) Updates in parallel. Existing stickies keep their (possibly hand-adjusted) position.
+  const updatesStarted = await runPool(toUpdate.length, MIRO_CONCURRENCY, opts.deadline, async (i) => {
+    const entry = toUpdate[i];
+    try {
+      if (entry.item.itemType === "text") {
+        await updateTextItem(boardId, token, entry.prev.id, entry.item.text, opts.deadline);
+      } else if (entry.item.itemType === "card") {
+        await updateCardItem(boardId, token, entry.prev.id, entry.item.text, entry.item.fillColor, opts.deadline);
+      } else {
+        await updateStickyNote(boardId, token, entry.prev.id, entry.item.text, entry.item.fillColor, opts.deadline);
+      }
+      await syncStickyTags(boardId, token, entry.prev.id, entry.prev.tags || [], entry.tags, opts.errors, opts.deadline);
+      updatedIds.push(entry.prev.id);
+      items[entry.item.key] = { id: entry.prev.id, hash: entry.hash, tags: entry.tags };
+    } catch (e) {
+      if (e && e.status === 404) {
+        // Sticky was deleted on the board: create it again.
+        toCreate.push(entry);
+        return;
+      }
+      failures.push(Object.assign({ item: entry.item, action: "update" }, itemError(e)));
+      items[entry.item.key] = entry.prev;
+    }
   });
 
-  const newSessionId = res.headers.get("Mcp-Session-Id") || sessionId || null;
+  // Not reached before the deadline: keep the old mapping, the next run retries the update.
+  for (let i = updatesStarted; i < toUpdate.length; i++) {
+    items[toUpdate[i].item.key] = toUpdate[i].prev;
+  }
 
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new Error(`MCP POST ${endpoint} → ${res.status}: ${t}`);
+  // A newly created frame also takes in the stickies of earlier runs.
+  const adoptedIds = [];
+  if (opts.parent && opts.parent.adoptExisting) {
+    const adopt = plan.items.filter((item) => items[item.key]);
+    await runPool(adopt.length, MIRO_CONCURRENCY, opts.deadline, async (i) => {
+      const item = adopt[i];
+      try {
+        await miroPatchJson(
+          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(items[item.key].id)}`,
+          token,
+          {
+            parent: { id: opts.parent.id },
+            position: { x: item.x - opts.parent.left, y: item.y - opts.parent.top, origin: "center" }
+          },
+          opts.deadline
+        );
+        adoptedIds.push(items[item.key].id);
+      } catch (e) {
+        opts.errors.push(errMsg(e));
+      }
+    });
   }
 
-  const ct = (res.headers.get("content-type") || "").toLowerCase();
+  // 3) Creates in bulk chunks.
+  const chunks = [];
+  for (let i = 0; i < toCreate.length; i += MIRO_BULK_LIMIT) {
+    chunks.push(toCreate.slice(i, i + MIRO_BULK_LIMIT));
+  }
+
+  const box = stickyBox(layout);
+  const created = [];
+  const chunksStarted = await runPool(chunks.length, MIRO_CONCURRENCY, opts.deadline, async (i) => {
+    const chunk = chunks[i];
+    const results = await createBoardItemsBulk(boardId, token, chunk.map((entry) => {
+      // Children of a frame are positioned relative to the frame's top-left corner.
+      const x = opts.parent ? entry.item.x - opts.parent.left : entry.item.x;
+      const y = opts.parent ? entry.item.y - opts.parent.top : entry.item.y;
+      return {
+        itemType: entry.item.itemType || "sticky_note",
+        text: entry.item.text,
+        x,
+        y,
+        opts: {
+          // Cards fill the layout cell; stickies keep Miro's default width unless layout.stickyWidth is set.
+          width: entry.item.width || (entry.item.itemType === "card" ? box.cellWidth : box.width),
+          height: box.cellHeight,
+          shape: entry.item.shape || plan.shape,
+          fillColor: entry.item.fillColor,
+          parentId: opts.parent ? opts.parent.id : null
+        }
+      };
+    }), opts.deadline);
+
+    chunk.forEach((entry, j) => {
+      const { id, error } = results[j];
+      if (!id) {
+        failures.push(Object.assign({ item: entry.item, action: "create" }, error));
+        return;
+      }
+      createdIds.push(id);
+      created.push({ id, entry });
+      items[entry.item.key] = { id, hash: entry.hash, tags: entry.tags };
+    });
+  });
+
+  let pendingCount = (toUpdate.length - updatesStarted);
+  for (let i = chunksStarted; i < chunks.length; i++) pendingCount += chunks[i].length;
+  // Failed writes are left for the next run as well.
+  pendingCount += failures.length;
+
+  // deleteCreatedOnFailure with failed creates: delete the items this run created. Nothing else is undone:
+  // stickies updated above (text, colour, position, parent) keep their new content.
+  if (opts.deleteCreatedOnFailure && failures.some((f) => f.action === "create")) {
+    const cleanupErrors = [];
+    await runPool(created.length, MIRO_CONCURRENCY, null, async (i) => {
+      const { id, entry } = created[i];
+      try {
+        await miroDelete(
+          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(id)}`,
+          token
+        );
+      } catch (e) {
+        if (!(e && e.status === 404)) {
+          // Still on the board: keep tracking it so a later run can update or delete it.
+          cleanupErrors.push(`${entry.item.key}: ${errMsg(e)}`);
+          return;
+        }
+      }
+      // The previous mapping (if any) points at an item that is gone (404 on update); drop it as well.
+      delete items[entry.item.key];
+    });
 
-  if (ct.includes("application/json")) {
-    const json = await res.json();
-    return { json, sessionId: newSessionId };
+    // Removed cells were not deleted: keep tracking them.
+    const createdKeys = new Set(created.map((c) => c.entry.item.key));
+    for (const key of Object.keys(previous)) {
+      if (!items[key] && !createdKeys.has(key) && previous[key] && previous[key].id) items[key] = previous[key];
+    }
+
+    return {
+      items,
+      createdIds: [],
+      updatedIds,
+      deletedIds,
+      unchangedCount,
+      orphanedCount,
+      adoptedIds,
+      complete: false,
+      pendingCount,
+      failures,
+      createdDeleted: true,
+      createdDeletedCount: created.length - cleanupErrors.length,
+      cleanupErrors
+    };
   }
 
-  if (ct.includes("text/event-stream")) {
-    const text = await res.text();
-    const json = parseSseForJsonRpc(text, reqObj.id);
-    if (!json) {
-      throw new Error("MCP SSE response did not contain a JSON-RPC message.");
+  // 4) Tags of new stickies (bulk create cannot attach tags).
+  await runPool(created.length, MIRO_CONCURRENCY, null, async (i) => {
+    await syncStickyTags(boardId, token, created[i].id, [], created[i].entry.tags, opts.errors, opts.deadline);
+  });
+
+  // 5) Stickies whose cell no longer exists (removed rows/columns). Skipped on a partial run:
+  // cells we did not get to are not "removed".
+  let removedKeys = Object.keys(previous).filter((key) => !items[key] && previous[key] && previous[key].id);
+
+  if (pendingCount > 0 || !opts.deleteRemoved) {
+    for (const key of removedKeys) {
+      // Keep tracking them so a later run with deleteRemoved can still clean up.
+      if (pendingCount === 0) orphanedCount++;
+      items[key] = previous[key];
+    }
+  } else {
+    // Not in the stored state: left on the board (and tracked) like without deleteRemoved.
+    const untrusted = removedKeys.filter((key) => !opts.deletableIds.has(previous[key].id));
+    for (const key of untrusted) {
+      orphanedCount++;
+      items[key] = previous[key];
+    }
+    removedKeys = removedKeys.filter((key) => opts.deletableIds.has(previous[key].id));
+
+    const deletesStarted = await runPool(removedKeys.length, MIRO_CONCURRENCY, opts.deadline, async (i) => {
+      const key = removedKeys[i];
+      try {
+        await miroDelete(
+          `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/items/${encodeURIComponent(previous[key].id)}`,
+          token,
+          opts.deadline
+        );
+        deletedIds.push(previous[key].id);
+      } catch (e) {
+        if (e && e.status === 404) return;
+        opts.errors.push(errMsg(e));
+        items[key] = previous[key];
+      }
+    });
+
+    for (let i = deletesStarted; i < removedKeys.length; i++) {
+      items[removedKeys[i]] = previous[removedKeys[i]];
+      pendingCount++;
     }
-    return { json, sessionId: newSessionId };
   }
 
-  // fallback: try JSON parse
-  const raw = await res.text();
-  try {
-    return { json: JSON.parse(raw), sessionId: newSessionId };
-  } catch {
-    throw new Error(`MCP unexpected content-type=${ct}, body=${raw.slice(0, 200)}`);
+  const complete = pendingCount === 0;
+  return {
+    items,
+    createdIds,
+    updatedIds,
+    deletedIds,
+    unchangedCount,
+    orphanedCount,
+    adoptedIds,
+    complete,
+    pendingCount,
+    failures,
+    createdDeleted: false,
+    createdDeletedCount: 0,
+    cleanupErrors: []
+  };
+}
+
+// Failure → { key, kind, row (1-based table row), rowId, column, action, status, message }.
+function describeSyncFailure(failure, selected, rows, idColumn) {
+  const item = failure.item;
+  const tableRow = item.rowIndex !== null ? selected.sourceRowIndex[item.rowIndex] : null;
+  return {
+    key: item.key,
+    kind: item.kind,
+    row: tableRow !== null ? tableRow + 1 : null,
+    rowId: (tableRow !== null && idColumn >= 0) ? rows[tableRow][idColumn] : null,
+    column: item.columnIndex !== null && selected.columns[item.columnIndex] ? selected.columns[item.columnIndex].title : null,
+    action: failure.action,
+    status: failure.status,
+    message: failure.message
+  };
+}
+
+async function syncStickyTags(boardId, token, stickyId, oldTagIds, newTagIds, errors, deadline) {
+  for (const tagId of newTagIds) {
+    if (oldTagIds.includes(tagId)) continue;
+    try {
+      await miroAttachTag(boardId, token, stickyId, tagId, deadline);
+    } catch (e) {
+      errors.push(e && e.message ? e.message : String(e));
+    }
+  }
+  for (const tagId of oldTagIds) {
+    if (newTagIds.includes(tagId)) continue;
+    try {
+      await miroDetachTag(boardId, token, stickyId, tagId, deadline);
+    } catch (e) {
+      errors.push(e && e.message ? e.message : String(e));
+    }
+  }
+}
+
+// Same classification as syncStickies (by key and hash), without touching the board.
+function previewSync(plan, layout, previous) {
+  const counts = { create: 0, update: 0, unchanged: 0, remove: 0 };
+  const keys = new Set();
+  const box = stickyBox(layout);
+
+  const items = plan.items.map((item) => {
+    keys.add(item.key);
+    const prev = previous[item.key] && previous[item.key].id ? previous[item.key] : null;
+    const action = !prev ? "create" : (prev.hash === stickyHash(item) ? "unchanged" : "update");
+    counts[action]++;
+
+    const itemType = item.itemType || "sticky_note";
+    let width = item.width || box.cellWidth;
+    let height = box.cellHeight;
+    if (itemType === "sticky_note") {
+      width = item.width || box.width || MIRO_SQUARE_STICKY.width;
+      height = stickyHeightFor(item.shape || plan.shape, width);
+    }
+    return {
+      key: item.key,
+      action,
+      existingId: prev ? prev.id : null,
+      itemType,
+      kind: item.kind,
+      text: item.text,
+      x: item.x,
+      y: item.y,
+      width,
+      height,
+      fillColor: item.fillColor || null,
+      tags: item.tags || []
+    };
+  });
+
+  counts.remove = Object.keys(previous).filter((key) => !keys.has(key) && previous[key] && previous[key].id).length;
+  return { items, counts };
+}
+
+// --------------------
+// Frame around the generated items
+// --------------------
+// frame: true | { title, connector: true }. The frame is tracked in syncState like the stickies.
+
+function normalizeFrameOption(raw) {
+  if (raw === null || typeof raw === "undefined" || raw === false) return null;
+  if (raw === true) return { title: null, connector: false };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("frame must be true or an object like { \"title\": \"...\", \"connector\": true }.");
   }
+  return {
+    title: (typeof raw.title === "string" && raw.title.trim()) ? raw.title.trim() : null,
+    connector: raw.connector === true
+  };
 }
 
-function parseSseForJsonRpc(sseText, desiredId) {
-  const lines = String(sseText || "").split("\n");
-  let lastJson = null;
+// Header/group stickies become plain text labels above their column inside the frame.
+function convertHeadersToLabels(plan, layout) {
+  for (const item of plan.items) {
+    if (item.kind !== "header" && item.kind !== "group") continue;
+    item.itemType = "text";
+    // Plan text is already escaped.
+    item.text = `<p><strong>${item.text}</strong></p>`;
+    item.width = stickyBox(layout).cellWidth;
+    item.fillColor = null;
+    item.tags = [];
+  }
+}
 
-  for (const line of lines) {
-    const l = line.trim();
-    if (!l.startsWith("data:")) continue;
-    const payload = l.slice(5).trim();
-    if (!payload) continue;
+function padBounds(bounds, padding) {
+  return {
+    left: bounds.x - (bounds.width / 2) - padding,
+    top: bounds.y - (bounds.height / 2) - padding,
+    width: bounds.width + (2 * padding),
+    height: bounds.height + (2 * padding)
+  };
+}
 
+// Reuses the frame of a previous run: its top-left corner stays put (children are positioned relative to
+// it, so they do not move) and only size and title are updated.
+async function ensureFrame(boardId, token, prevFrameId, title, box) {
+  if (prevFrameId) {
     try {
-      const obj = JSON.parse(payload);
-      lastJson = obj;
-      if (typeof desiredId !== "undefined" && obj && obj.id === desiredId) {
-        return obj;
-      }
-    } catch {
-      // ignore
+      const existing = await miroGetJson(
+        `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/frames/${encodeURIComponent(prevFrameId)}`,
+        token
+      );
+      const pos = (existing && existing.position) ? existing.position : {};
+      const geom = (existing && existing.geometry) ? existing.geometry : {};
+      const left = num(pos.x, 0) - (num(geom.width, 0) / 2);
+      const top = num(pos.y, 0) - (num(geom.height, 0) / 2);
+
+      await miroPatchJson(
+        `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/frames/${encodeURIComponent(prevFrameId)}`,
+        token,
+        {
+          data: { title },
+          position: { x: left + (box.width / 2), y: top + (box.height / 2), origin: "center" },
+          geometry: { width: box.width, height: box.height }
+        }
+      );
+      return { id: prevFrameId, box, created: false };
+    } catch (e) {
+      if (!e || e.status !== 404) throw e;
+      // Frame was deleted on the board: create a new one.
     }
   }
-  return lastJson;
+
+  const created = await miroPostJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/frames`,
+    token,
+    {
+      data: { title, format: "custom", type: "freeform" },
+      position: { x: box.left + (box.width / 2), y: box.top + (box.height / 2), origin: "center" },
+      geometry: { width: box.width, height: box.height }
+    }
+  );
+  if (!created || !created.id) throw new Error("Miro frame creation returned no id.");
+  return { id: String(created.id), box, created: true };
+}
+
+async function createConnector(boardId, token, startItemId, endItemId) {
+  const created = await miroPostJson(
+    `https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/connectors`,
+    token,
+    {
+      startItem: { id: String(startItemId) },
+      endItem: { id: String(endItemId) },
+      shape: "elbowed",
+      style: { endStrokeCap: "arrow" }
+    }
+  );
+  return created && created.id ? String(created.id) : null;
 }
 
 // --------------------
-// MCP table_list_rows helpers
+// Colours, tags and legend (column values → sticky style)
 // --------------------
+// mapping: { colorBy: "<column>", tagBy: "<column>", colors: { "<value>": "<sticky colour or #hex>" }, legend: true }
 
-function buildTableListArgs(inputSchema, boardId, tableId) {
-  const args = {};
-
-  const props = (inputSchema && inputSchema.properties && typeof inputSchema.properties === "object")
-    ? Object.keys(inputSchema.properties)
-    : [];
+function normalizeStyleMapping(raw, columns) {
+  if (raw === null || typeof raw === "undefined") return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("mapping must be an object like { \"colorBy\": \"Category\", \"tagBy\": \"Tags\" }.");
+  }
 
-  const has = (k) => props.includes(k);
+  const columnIndexFor = (key) => {
+    if (typeof raw[key] !== "string" || !raw[key].trim()) return -1;
+    const idx = findColumnIndex(columns, raw[key]);
+    if (idx < 0) {
+      throw new Error(`mapping.${key} column "${raw[key]}" not found. Available: ${columns.map((c) => c.title).join(", ")}.`);
+    }
+    return idx;
+  };
 
-  // Board
-  if (has("board_id")) args.board_id = boardId;
-  else if (has("boardId")) args.boardId = boardId;
-  else if (has("board")) args.board = boardId;
+  const colors = new Map();
+  if (raw.colors && typeof raw.colors === "object") {
+    for (const value of Object.keys(raw.colors)) {
+      const color = toStickyColor(raw.colors[value]);
+      if (!color) {
+        throw new Error(`mapping.colors["${value}"]: unknown colour "${raw.colors[value]}". Use a sticky colour name or #hex.`);
+      }
+      colors.set(value, color);
+    }
+  }
 
-  // Table
-  if (has("table_id")) args.table_id = tableId;
-  else if (has("tableId")) args.tableId = tableId;
-  else if (has("table")) args.table = tableId;
-  else if (has("id")) args.id = tableId;
+  return {
+    colorCol: columnIndexFor("colorBy"),
+    tagCol: columnIndexFor("tagBy"),
+    colors,
+    legend: raw.legend !== false
+  };
+}
 
-  // Pagination size
-  if (has("limit")) args.limit = 100;
-  else if (has("pageSize")) args.pageSize = 100;
-  else if (has("page_size")) args.page_size = 100;
+function resolveRowStyles(mapping, columns, rows, cellColors) {
+  const rowColors = rows.map(() => null);
+  const rowTags = rows.map(() => []);
+  const valueColors = new Map();
+  const tagTitles = new Set();
+
+  if (!mapping) return { rowColors, rowTags, valueColors, legend: [], tagTitles: [] };
+
+  if (mapping.colorCol >= 0) {
+    let cycle = 0;
+    for (let r = 0; r < rows.length; r++) {
+      const value = rows[r][mapping.colorCol] || "";
+      if (!value) continue;
+
+      if (!valueColors.has(value)) {
+        // Precedence: explicit mapping.colors → the table's own option colour → next cycle colour.
+        const tableColor = toStickyColor(cellColors && cellColors[r] ? cellColors[r][mapping.colorCol] : null);
+        const color = mapping.colors.get(value) || tableColor || STICKY_COLOR_CYCLE[cycle++ % STICKY_COLOR_CYCLE.length];
+        valueColors.set(value, color);
+      }
+      rowColors[r] = valueColors.get(value);
+    }
+  }
 
-  // If schema is unknown, use common defaults
-  if (props.length === 0) {
-    args.board_id = boardId;
-    args.table_id = tableId;
-    args.limit = 100;
+  if (mapping.tagCol >= 0) {
+    for (let r = 0; r < rows.length; r++) {
+      // Multi-select cells arrive comma-joined from cellToText.
+      const titles = String(rows[r][mapping.tagCol] || "")
+        .split(",")
+        .map((t) => t.trim().slice(0, 120))
+        .filter(Boolean);
+      rowTags[r] = Array.from(new Set(titles)).slice(0, MAX_TAGS_PER_ITEM);
+      for (const t of rowTags[r]) tagTitles.add(t);
+    }
   }
 
-  return args;
+  const legend = (mapping.legend && mapping.colorCol >= 0)
+    ? Array.from(valueColors, ([value, fillColor]) => ({ value, fillColor }))
+    : [];
+
+  return { rowColors, rowTags, valueColors, legend, tagTitles: Array.from(tagTitles) };
 }
 
-function parseTableListRowsCall(callResp) {
-  // Expected: JSON-RPC response with result = CallToolResult
-  if (!callResp || typeof callResp !== "object") {
-    return { columns: [], rows: [] };
+// Plan items refer to the selected columns; sourceIndex maps them back to the full table.
+function applyRowStyles(plan, styles, mapping, columns, sourceIndex, layout) {
+  if (!mapping) return;
+
+  for (const item of plan.items) {
+    if (item.rowIndex !== null) {
+      item.fillColor = styles.rowColors[item.rowIndex] || null;
+      item.tags = styles.rowTags[item.rowIndex];
+    } else if (item.kind === "group" && sourceIndex[item.columnIndex] === mapping.colorCol) {
+      // Group labels are escaped plan text; the colours are keyed by the raw cell value.
+      const match = Array.from(styles.valueColors).find(([value]) => escapeHtml(value) === item.text);
+      item.fillColor = match ? match[1] : null;
+    }
   }
-  if (callResp.error) {
-    const msg = callResp.error.message || JSON.stringify(callResp.error);
-    throw new Error(`MCP tools/call error: ${msg}`);
+
+  if (styles.legend.length) {
+    const title = columns[mapping.colorCol].title;
+    const legendItems = planLegend(styles.legend, title, plan.bounds, layout);
+    for (const it of legendItems) plan.items.push(it);
+    plan.bounds = unionBounds(plan.bounds, legendItems);
   }
+}
 
-  const result = callResp.result || {};
-  const structured = result.structuredContent || null;
+// Small square stickies stacked on the outer side of the block (away from the table).
+function planLegend(entries, title, bounds, layout) {
+  const size = Math.max(100, Math.round(stickyBox(layout).cellWidth / 2));
+  const step = stickyHeightFor("square", size) + layout.gapY;
+
+  const blockLeft = bounds.x - (bounds.width / 2);
+  const blockRight = bounds.x + (bounds.width / 2);
+  const x = (layout.anchor === "left")
+    ? blockLeft - layout.gapX - (size / 2)
+    : blockRight + layout.gapX + (size / 2);
+  const top = bounds.y - (bounds.height / 2) + (stickyHeightFor("square", size) / 2);
+
+  const rows = [{ text: `<p><strong>${escapeHtml(title)}</strong></p>`, fillColor: "gray" }]
+    .concat(entries.map((e) => ({ text: escapeHtml(e.value), fillColor: e.fillColor })));
+
+  return rows.map((r, i) => ({
+    text: r.text,
+    x,
+    y: top + i * step,
+    width: size,
+    shape: "square",
+    fillColor: r.fillColor,
+    kind: "legend",
+    rowIndex: null,
+    columnIndex: null
+  }));
+}
 
-  // Preferred: structuredContent
-  if (structured && typeof structured === "object") {
-    const columns = normalizeColumns(structured.columns || structured.columnMetadata || structured.cols || []);
-    const rows = normalizeRows(structured.rows || structured.data || structured.items || [], columns);
-    return { columns, rows };
+function unionBounds(bounds, items) {
+  let left = bounds.x - (bounds.width / 2);
+  let right = bounds.x + (bounds.width / 2);
+  let top = bounds.y - (bounds.height / 2);
+  let bottom = bounds.y + (bounds.height / 2);
+
+  for (const it of items) {
+    const half = (it.width || 0) / 2;
+    left = Math.min(left, it.x - half);
+    right = Math.max(right, it.x + half);
+    top = Math.min(top, it.y - half);
+    bottom = Math.max(bottom, it.y + half);
   }
 
-  // Fallback: sometimes content[0].text contains JSON
-  const content = Array.isArray(result.content) ? result.content : [];
-  const firstText = content.find((c) => c && c.type === "text" && typeof c.text === "string");
-  if (firstText && firstText.text) {
-    try {
-      const obj = JSON.parse(firstText.text);
-      const columns = normalizeColumns(obj.columns || obj.columnMetadata || obj.cols || []);
-      const rows = normalizeRows(obj.rows || obj.data || obj.items || [], columns);
-      return { columns, rows };
-    } catch {
-      // ignore
+  return { x: (left + right) / 2, y: (top + bottom) / 2, width: right - left, height: bottom - top };
+}
+
+function toStickyColor(c) {
+  if (typeof c !== "string" || !c.trim()) return null;
+  const v = c.trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(STICKY_COLORS, v)) return v;
+
+  const rgb = hexToRgb(v);
+  if (!rgb) return null;
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const name of Object.keys(STICKY_COLORS)) {
+    const o = hexToRgb(STICKY_COLORS[name]);
+    const d = (o.r - rgb.r) ** 2 + (o.g - rgb.g) ** 2 + (o.b - rgb.b) ** 2;
+    if (d < bestDist) {
+      best = name;
+      bestDist = d;
     }
   }
+  return best;
+}
 
-  return { columns: [], rows: [] };
+function hexToRgb(hex) {
+  let h = String(hex || "").replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(h)) h = h.split("").map((ch) => ch + ch).join("");
+  if (!/^[0-9a-f]{6}$/i.test(h)) return null;
+  return {
+    r: parseInt(h.slice(0, 2), 16),
+    g: parseInt(h.slice(2, 4), 16),
+    b: parseInt(h.slice(4, 6), 16)
+  };
 }
 
-function normalizeColumns(cols) {
-  const columns = [];
-  if (Array.isArray(cols)) {
-    for (const c of cols) {
-      if (!c) continue;
-      if (typeof c === "string") {
-        columns.push({ id: c, title: c });
-      } else if (typeof c === "object") {
-        const id = (c.id || c.columnId || c.key || c.name || c.title || "").toString();
-        const title = (c.title || c.name || c.label || id || "Column").toString();
-        columns.push({ id: id || title, title });
+// --------------------
+// Column selection and row filters
+// --------------------
+// columns: ["Criterion", "weight"] (titles or ids, in output order)
+// filter: "weight >= 3" | ["Category in [Tech, Market]", "non-empty Criterion"] (all must match)
+
+function selectTableData(columns, rows, cellColors, columnSelection, filter) {
+  const filters = parseRowFilters(filter, columns);
+
+  let sourceIndex = columns.map((_, i) => i);
+  if (typeof columnSelection !== "undefined" && columnSelection !== null) {
+    if (!Array.isArray(columnSelection) || !columnSelection.length) {
+      throw new Error("columns must be a non-empty array of column titles or ids.");
+    }
+    sourceIndex = columnSelection.map((name) => {
+      const idx = findColumnIndex(columns, name);
+      if (idx < 0) {
+        throw new Error(`columns: "${name}" not found. Available: ${columns.map((c) => c.title).join(", ")}.`);
       }
+      return idx;
+    });
+    if (new Set(sourceIndex).size !== sourceIndex.length) {
+      throw new Error("columns: a column is listed twice.");
     }
   }
-  // Ensure at least 1
-  return columns;
-}
 
-function normalizeRows(rowsRaw, columns) {
-  const rows = [];
-  const colIds = columns.map((c) => c.id);
+  const sourceRowIndex = [];
+  for (let r = 0; r < rows.length; r++) {
+    if (filters.every((f) => f(rows[r]))) sourceRowIndex.push(r);
+  }
 
-  if (!Array.isArray(rowsRaw)) return rows;
+  return {
+    columns: sourceIndex.map((i) => columns[i]),
+    rows: sourceRowIndex.map((r) => sourceIndex.map((i) => rows[r][i])),
+    fullRows: sourceRowIndex.map((r) => rows[r]),
+    cellColors: sourceRowIndex.map((r) => (cellColors && cellColors[r]) ? cellColors[r] : []),
+    sourceIndex,
+    sourceRowIndex
+  };
+}
 
-  for (const r of rowsRaw) {
-    const row = [];
+function parseRowFilters(raw, columns) {
+  if (raw === null || typeof raw === "undefined" || raw === "") return [];
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.map((expr) => {
+    if (typeof expr !== "string" || !expr.trim()) throw new Error("filter expressions must be non-empty strings.");
+    return parseRowFilter(expr.trim(), columns);
+  });
+}
 
-    // Case A: array row
-    if (Array.isArray(r)) {
-      for (let i = 0; i < columns.length; i++) {
-        row.push(cellToText(r[i]));
-      }
-      rows.push(row);
-      continue;
+function parseRowFilter(expr, columns) {
+  const col = (name) => {
+    const idx = findColumnIndex(columns, unquote(name));
+    if (idx < 0) {
+      throw new Error(`filter "${expr}": column "${unquote(name)}" not found. Available: ${columns.map((c) => c.title).join(", ")}.`);
     }
+    return idx;
+  };
 
-    // Case B: row.cells array
-    if (r && typeof r === "object" && Array.isArray(r.cells)) {
-      for (let i = 0; i < columns.length; i++) {
-        row.push(cellToText(r.cells[i]));
-      }
-      rows.push(row);
-      continue;
+  let m = expr.match(/^(non-empty|not-empty|nonempty|empty)\s+(.+)$/i);
+  if (m) {
+    const idx = col(m[2]);
+    const wantEmpty = m[1].toLowerCase() === "empty";
+    return (row) => !(row[idx] || "").trim() === wantEmpty;
+  }
+
+  m = expr.match(/^(.+?)\s+(not\s+in|in)\s*\[(.*)\]$/i);
+  if (m) {
+    const idx = col(m[1]);
+    const negate = /^not/i.test(m[2]);
+    const values = m[3].split(",").map((v) => unquote(v).toLowerCase()).filter(Boolean);
+    return (row) => values.includes((row[idx] || "").trim().toLowerCase()) !== negate;
+  }
+
+  m = expr.match(/^(.+?)\s+contains\s+(.+)$/i);
+  if (m) {
+    const idx = col(m[1]);
+    const needle = unquote(m[2]).toLowerCase();
+    return (row) => (row[idx] || "").toLowerCase().includes(needle);
+  }
+
+  m = expr.match(/^(.+?)\s*(>=|<=|!=|==|=|>|<)\s*(.+)$/);
+  if (m) {
+    const idx = col(m[1]);
+    const op = m[2];
+    const value = unquote(m[3]);
+    return (row) => compareCell(row[idx] || "", op, value);
+  }
+
+  throw new Error(
+    `Cannot parse filter "${expr}". Examples: "weight >= 3", "Category in [Tech, Market]", "non-empty Criterion".`
+  );
+}
+
+function compareCell(cell, op, value) {
+  const a = toFilterNumber(cell);
+  const b = toFilterNumber(value);
+  const numeric = !Number.isNaN(a) && !Number.isNaN(b);
+
+  let cmp;
+  if (numeric) {
+    cmp = a - b;
+  } else if (op === "=" || op === "==" || op === "!=") {
+    cmp = cell.trim().toLowerCase() === value.toLowerCase() ? 0 : 1;
+  } else {
+    // Non-numeric ordering (e.g. ISO dates): plain string comparison; empty cells never match.
+    if (!cell.trim()) return false;
+    cmp = cell.trim().localeCompare(value);
+  }
+
+  if (op === "=" || op === "==") return cmp === 0;
+  if (op === "!=") return cmp !== 0;
+  if (op === ">") return cmp > 0;
+  if (op === ">=") return cmp >= 0;
+  if (op === "<") return cmp < 0;
+  return cmp <= 0;
+}
+
+function toFilterNumber(v) {
+  const t = String(v || "").trim().replace(",", ".");
+  return t ? Number(t) : NaN;
+}
+
+function unquote(s) {
+  const t = String(s || "").trim();
+  const m = t.match(/^(["'`])(.*)\1$/);
+  return m ? m[2].trim() : t;
+}
+
+// --------------------
+// Layout planning (no board writes)
+// --------------------
+// Every mode places items on an integer grid (gx, gy); toAbsolute() then anchors the
+// whole block next to the table.
+
+function normalizeLayout(raw, defaultMode) {
+  const input = (typeof raw === "string") ? { mode: raw } : (raw && typeof raw === "object" ? raw : {});
+  const layout = Object.assign({}, DEFAULT_LAYOUT);
+  if (defaultMode) layout.mode = defaultMode;
+
+  if (typeof input.mode === "string" && input.mode.trim()) {
+    const mode = LAYOUT_MODES.find((m) => m.toLowerCase() === input.mode.trim().toLowerCase());
+    if (!mode) throw new Error(`Unknown layout.mode "${input.mode}". Use one of: ${LAYOUT_MODES.join(", ")}.`);
+    layout.mode = mode;
+  }
+
+  if (typeof input.anchor === "string" && input.anchor.trim()) {
+    const anchor = input.anchor.trim().toLowerCase();
+    if (!LAYOUT_ANCHORS.includes(anchor)) {
+      throw new Error(`Unknown layout.anchor "${input.anchor}". Use one of: ${LAYOUT_ANCHORS.join(", ")}.`);
     }
+    layout.anchor = anchor;
+  }
 
-    // Case C: row.values object keyed by column id
-    if (r && typeof r === "object" && r.values && typeof r.values === "object") {
-      for (const id of colIds) {
-        row.push(cellToText(r.values[id]));
-      }
-      rows.push(row);
-      continue;
+  for (const k of ["stickyWidth", "stickyHeight", "gapX", "gapY", "offset"]) {
+    if (typeof input[k] === "undefined") continue;
+    const v = Number(input[k]);
+    const min = (k === "stickyWidth" || k === "stickyHeight") ? 1 : 0;
+    if (!Number.isFinite(v) || v < min) throw new Error(`layout.${k} must be a number >= ${min}.`);
+    layout[k] = v;
+  }
+
+  if (typeof input.cardsPerRow !== "undefined" && input.cardsPerRow !== null) {
+    const v = Number(input.cardsPerRow);
+    if (!Number.isInteger(v) || v < 1) throw new Error("layout.cardsPerRow must be a positive integer.");
+    layout.cardsPerRow = v;
+  }
+
+  if (typeof input.groupBy === "string" && input.groupBy.trim()) {
+    layout.groupBy = input.groupBy.trim();
+  }
+  if (layout.mode === "groupBy" && !layout.groupBy) {
+    throw new Error("layout.groupBy (column title or id) is required for mode \"groupBy\".");
+  }
+
+  return layout;
+}
+
+function planLayout(columns, rows, table, layout, opts) {
+  const includeHeader = !opts || opts.includeHeader !== false;
+  // Text of a one-item-per-row card (a row template when given); skipIndex = column shown as group.
+  const cardText = (opts && opts.cardText) || ((r, skipIndex) => rowToCardText(columns, rows[r], skipIndex));
+
+  let cells;
+  if (layout.mode === "swimlanes") cells = planSwimlanes(columns, rows, includeHeader);
+  else if (layout.mode === "groupBy") cells = planGroupBy(columns, rows, layout.groupBy, cardText);
+  else if (layout.mode === "cards") cells = planCards(rows, layout.cardsPerRow, cardText);
+  else cells = planGrid(columns, rows, includeHeader);
+
+  return Object.assign({ shape: stickyBox(layout).shape }, toAbsolute(cells, table, layout));
+}
+
+// Miro sticky notes only come as square or rectangle; pick the one closest to the requested box.
+// width: sent to Miro (null = Miro's default); cellWidth/cellHeight: the space one item takes in the
+// layout, at least as tall as the sticky really is.
+function stickyBox(layout) {
+  const w = layout.stickyWidth;
+  const h = layout.stickyHeight;
+  const shape = (w && h && w > h * 1.2) ? "rectangle" : "square";
+  const height = stickyHeightFor(shape, w || MIRO_SQUARE_STICKY.width);
+  return {
+    shape,
+    width: w || null,
+    cellWidth: w || DEFAULT_COLUMN_WIDTH,
+    cellHeight: Math.max(height, h || 0)
+  };
+}
+
+function stickyHeightFor(shape, width) {
+  const ratio = (shape === "rectangle") ? RECTANGLE_STICKY_RATIO : MIRO_SQUARE_STICKY.height / MIRO_SQUARE_STICKY.width;
+  return Math.round(width * ratio);
+}
+
+function planGrid(columns, rows, includeHeader) {
+  const cells = [];
+  const first = includeHeader ? 1 : 0;
+
+  // Header row as stickies (unless skipped) + all data rows.
+  if (includeHeader) {
+    for (let c = 0; c < columns.length; c++) {
+      cells.push({ gx: c, gy: 0, text: escapeHtml(columns[c].title), kind: "header", rowIndex: null, columnIndex: c });
+    }
+  }
+  for (let r = 0; r < rows.length; r++) {
+    for (let c = 0; c < columns.length; c++) {
+      cells.push({ gx: c, gy: r + first, text: escapeHtml(rows[r][c]), kind: "cell", rowIndex: r, columnIndex: c });
     }
+  }
+  return cells;
+}
 
-    // Case D: row object keyed directly by column id/title
-    if (r && typeof r === "object") {
-      for (const id of colIds) {
-        row.push(cellToText(r[id]));
-      }
-      rows.push(row);
-      continue;
+function planSwimlanes(columns, rows, includeHeader) {
+  const cells = [];
+
+  // One vertical lane per column; empty cells are skipped so lanes stay compact.
+  for (let c = 0; c < columns.length; c++) {
+    let gy = 0;
+    if (includeHeader) {
+      cells.push({ gx: c, gy: gy++, text: escapeHtml(columns[c].title), kind: "header", rowIndex: null, columnIndex: c });
+    }
+    for (let r = 0; r < rows.length; r++) {
+      const text = rows[r][c] || "";
+      if (!text) continue;
+      cells.push({ gx: c, gy: gy++, text: escapeHtml(text), kind: "cell", rowIndex: r, columnIndex: c });
     }
   }
+  return cells;
+}
+
+function planGroupBy(columns, rows, groupBy, cardText) {
+  const groupCol = findColumnIndex(columns, groupBy);
+  if (groupCol < 0) {
+    throw new Error(`layout.groupBy column "${groupBy}" not found. Available: ${columns.map((c) => c.title).join(", ")}.`);
+  }
+
+  // Groups keep the order in which their value first appears in the table.
+  const groups = new Map();
+  for (let r = 0; r < rows.length; r++) {
+    const key = rows[r][groupCol] || "(empty)";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  const cells = [];
+  let gx = 0;
+  for (const [value, rowIndexes] of groups) {
+    cells.push({ gx, gy: 0, text: escapeHtml(value), kind: "group", rowIndex: null, columnIndex: groupCol });
+    rowIndexes.forEach((r, i) => {
+      cells.push({ gx, gy: i + 1, text: cardText(r, groupCol), kind: "card", rowIndex: r, columnIndex: null });
+    });
+    gx++;
+  }
+  return cells;
+}
+
+function planCards(rows, cardsPerRow, cardText) {
+  const perRow = cardsPerRow || Math.max(1, Math.ceil(Math.sqrt(rows.length)));
+  return rows.map((row, r) => ({
+    gx: r % perRow,
+    gy: Math.floor(r / perRow),
+    text: cardText(r, -1),
+    kind: "card",
+    rowIndex: r,
+    columnIndex: null
+  }));
+}
+
+function toAbsolute(cells, table, layout) {
+  const box = stickyBox(layout);
+  const stepX = box.cellWidth + layout.gapX;
+  const stepY = box.cellHeight + layout.gapY;
+
+  const colCount = cells.reduce((m, c) => Math.max(m, c.gx + 1), 0);
+  const rowCount = cells.reduce((m, c) => Math.max(m, c.gy + 1), 0);
+
+  const blockW = colCount ? (colCount * stepX - layout.gapX) : 0;
+  const blockH = rowCount ? (rowCount * stepY - layout.gapY) : 0;
+
+  let left;
+  let top;
+  if (layout.anchor === "below") {
+    left = table.x - (blockW / 2);
+    top = table.y + (table.height / 2) + layout.offset;
+  } else if (layout.anchor === "left") {
+    left = table.x - (table.width / 2) - layout.offset - blockW;
+    top = table.y - (blockH / 2);
+  } else {
+    left = table.x + (table.width / 2) + layout.offset;
+    top = table.y - (blockH / 2);
+  }
+
+  const items = cells.map((c) => ({
+    text: c.text,
+    x: left + c.gx * stepX + (box.cellWidth / 2),
+    y: top + c.gy * stepY + (box.cellHeight / 2),
+    kind: c.kind,
+    rowIndex: c.rowIndex,
+    columnIndex: c.columnIndex
+  }));
+
+  return { items, bounds: { x: left + (blockW / 2), y: top + (blockH / 2), width: blockW, height: blockH } };
+}
+
+function findColumnIndex(columns, titleOrId) {
+  const wanted = String(titleOrId || "").trim().toLowerCase();
+  let idx = columns.findIndex((c) => c.title.trim().toLowerCase() === wanted);
+  if (idx < 0) idx = columns.findIndex((c) => c.id.trim().toLowerCase() === wanted);
+  return idx;
+}
+
+// Card text: first column as headline, remaining non-empty cells as "Title: value" lines.
+function rowToCardText(columns, row, skipIndex) {
+  const parts = [];
+  for (let c = 0; c < columns.length; c++) {
+    if (c === skipIndex) continue;
+    const v = row[c] || "";
+    if (!v) continue;
+    parts.push(parts.length
+      ? `<p>${escapeHtml(`${columns[c].title}: ${v}`)}</p>`
+      : `<p><strong>${escapeHtml(v)}</strong></p>`);
+  }
+  return parts.join("");
+}
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
+
+// --------------------
+// Row templates and output item type
+// --------------------
+// template: "**{{Criterion}}**{{#Category}} ({{Category}}){{/Category}} — {{Definition|truncate:120}}"
+//   {{Column}}                 cell value (column title or id), HTML-escaped
+//   {{Column|truncate:N}}      at most N characters, cut with "…"
+//   {{#Column}}…{{/Column}}    only rendered when the cell is non-empty ({{^Column}}… when empty)
+//   **text**                   bold; a line break in the template starts a new paragraph
+
+const TEMPLATE_TAG_RE = /\{\{\s*([#^/]?)\s*([^}]*?)\s*\}\}/g;
+const TEMPLATE_SECTION_RE = /\{\{\s*([#^])\s*([^}|]+?)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}/g;
+
+function normalizeItemType(raw) {
+  if (raw === null || typeof raw === "undefined" || raw === "") return "sticky_note";
+  const wanted = String(raw).trim().toLowerCase();
+  if (wanted === "sticky" || wanted === "sticky_note") return "sticky_note";
+  if (OUTPUT_ITEM_TYPES.includes(wanted)) return wanted;
+  throw new Error(`Unknown itemType "${raw}". Use one of: ${OUTPUT_ITEM_TYPES.join(", ")}.`);
+}
 
-  return rows;
+// Row items (cells/cards) become Miro cards; headers, group labels and the legend stay as they are.
+function useCardItems(plan) {
+  for (const item of plan.items) {
+    if (item.rowIndex !== null && !item.itemType) item.itemType = "card";
+  }
 }
 
-function cellToText(v) {
-  if (v === null || typeof v === "undefined") return "";
-  if (typeof v === "string") return v.trim();
-  if (typeof v === "number" || typeof v === "boolean") return String(v);
+// Validates the template against the table columns and returns row => sticky HTML.
+function compileRowTemplate(template, columns) {
+  if (typeof template !== "string" || !template.trim()) {
+    throw new Error("template must be a non-empty string like \"**{{Criterion}}** — {{Definition}}\".");
+  }
+  const src = template.replace(/\r\n?/g, "\n");
+
+  const resolveColumn = (name) => {
+    const idx = findColumnIndex(columns, name);
+    if (idx < 0) {
+      throw new Error(`template placeholder "{{${name}}}" matches no column. Available: ${columns.map((c) => c.title).join(", ")}.`);
+    }
+    return idx;
+  };
+
+  // Every section must be closed by its own name; sections do not nest.
+  const leftover = src.replace(TEMPLATE_SECTION_RE, (m, type, name, inner) => {
+    resolveColumn(name);
+    if (/\{\{\s*[#^/]/.test(inner)) throw new Error(`template section "{{${type}${name}}}" must not contain other sections.`);
+    return inner;
+  });
+  const placeholders = [];
+  for (const m of leftover.matchAll(TEMPLATE_TAG_RE)) {
+    if (m[1]) throw new Error(`template section "{{${m[1]}${m[2]}}}" is not closed by a matching "{{/${m[2]}}}".`);
+    placeholders.push(m[2]);
+  }
+  for (const p of placeholders) parsePlaceholder(p, resolveColumn);
+
+  return (row) => renderRowTemplate(src, row, resolveColumn);
+}
 
-  if (typeof v === "object") {
-    if (typeof v.text === "string") return v.text.trim();
-    if (typeof v.value === "string") return v.value.trim();
-    if (typeof v.label === "string") return v.label.trim();
-    if (typeof v.name === "string") return v.name.trim();
-    if (typeof v.title === "string") return v.title.trim();
-    if (typeof v.displayValue === "string") return v.displayValue.trim();
-    try { return JSON.stringify(v); } catch { return ""; }
+function parsePlaceholder(expr, resolveColumn) {
+  const [name, ...filters] = expr.split("|").map((s) => s.trim());
+  const out = { column: resolveColumn(name), truncate: null };
+  for (const f of filters) {
+    const m = f.match(/^truncate\s*:\s*(\d+)$/i);
+    if (!m || Number(m[1]) < 1) throw new Error(`Unknown template filter "${f}" in "{{${expr}}}". Use truncate:N.`);
+    out.truncate = Number(m[1]);
   }
-  return String(v);
+  return out;
+}
+
+function renderRowTemplate(src, row, resolveColumn) {
+  const cell = (idx) => String(row[idx] || "").trim();
+
+  const withSections = src.replace(TEMPLATE_SECTION_RE, (m, type, name, inner) => {
+    const filled = Boolean(cell(resolveColumn(name)));
+    return (type === "#") === filled ? inner : "";
+  });
+
+  // Placeholders become markers first, so "**" and line breaks in cell values are not treated as markup.
+  const values = [];
+  const marked = withSections.replace(TEMPLATE_TAG_RE, (m, type, expr) => {
+    const p = parsePlaceholder(expr, resolveColumn);
+    let v = cell(p.column);
+    if (p.truncate && v.length > p.truncate) v = `${v.slice(0, Math.max(1, p.truncate - 1)).trimEnd()}…`;
+    values.push(escapeHtml(v).replace(/\r?\n/g, "<br/>"));
+    return `\u0000${values.length - 1}\u0000`;
+  });
+
+  return escapeHtml(marked)
+    .split("\n")
+    .map((line) => line
+      .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/\u0000(\d+)\u0000/g, (m, i) => values[Number(i)])
+      .trim())
+    .filter((line) => line.replace(/<[^>]*>/g, "").trim())
+    .map((line) => `<p>${line}</p>`)
+    .join("");
+}
+
+// Sticky HTML (as built above) → plain text lines for card title/description.
+function htmlToPlainLines(html) {
+  const s = String(html || "");
+  const paragraphs = s.includes("<p>") ? (s.match(/<p>[\s\S]*?<\/p>/g) || []) : [s];
+  return paragraphs
+    .map((p) => p
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<[^>]*>/g, "")
+      .replaceAll("&lt;", "<")
+      .replaceAll("&gt;", ">")
+      .replaceAll("&amp;", "&")
+      .trim())
+    .filter(Boolean);
 }
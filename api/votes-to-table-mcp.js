@@ -0,0 +1,571 @@
+import { mcpStartSession, mcpCloseSession, mcpListTools, mcpCallTool } from "./_lib/mcp-client.js";
+import { resolveMcpToken, sendMcpError } from "./_lib/mcp-oauth.js";
+import { readJson, miroGetJson } from "./_lib/miro-rest.js";
+import { listBoardItems, loadStickiesInFrame, stickyHtmlToText, extractItemTitle, looseKey } from "./_lib/board-items.js";
+import {
+  ROWS_PER_WRITE,
+  WRITE_ROWS_TOOLS,
+  mcpListAllTableRows,
+  buildTableToolArgs,
+  extractToolPayload,
+  findTool,
+  findColumn,
+  pickRowsKey,
+  rowsSchemaItem,
+  denormalizeRows
+} from "./_lib/mcp-tables.js";
+
+// Table looked up on the board when no tableItemId is given (the one the Lovable prompt in index.html expects).
+const DEFAULT_TABLE_TITLE = "Voted Criterias";
+
+// Tools that change existing rows by row id, tried in order.
+const UPDATE_ROWS_TOOLS = ["table_update_rows", "table_sync_rows", "table_upsert_rows"];
+
+const VOTE_MODES = ["auto", "markers", "groups"];
+const WEIGHT_METHODS = ["sum", "max", "raw"];
+const DEFAULT_WEIGHT = { method: "sum", scale: 100, decimals: 0 };
+
+// Vote markers written on a sticky: dot glyphs, "+3", "3 votes", "votes: 3". No "•": that is a list bullet.
+// Counts are only read on a line of their own, or at the end of the last line as "+3" or set off by
+// "(…)", "-", "–", "—", "|", "·" or ",", so "Top 10 points of sale" or "Uptime 99 dots" stay criteria.
+const VOTE_DOT_RE = /[●⬤◉🔴🟠🟡🟢🔵🟣⚫]/gu;
+const VOTE_PLUS_RE = /(^|\s)\+(\d+)$/;
+const VOTE_COUNT_RE = /(^|\s*[-–—|·,]\s*|\s?\(\s*)(?:(\d+)\s*(?:votes?|dots?)|(?:votes?|dots?)\s*[:=]\s*(\d+))\s*\)?$/i;
+
+// Dot stickers: circles up to this size whose centre lies on a sticky.
+const VOTE_DOT_MAX_SIZE = 60;
+
+export default async function handler(req, res) {
+  // --- Quick & Dirty CORS ---
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return;
+  }
+  if (req.method !== "POST") {
+    res.status(405).send("Use POST.");
+    return;
+  }
+
+  const MIRO_ACCESS_TOKEN = (process.env.MIRO_ACCESS_TOKEN || "").trim();
+  if (!MIRO_ACCESS_TOKEN) {
+    res.status(500).send("Server misconfigured: MIRO_ACCESS_TOKEN is missing.");
+    return;
+  }
+
+  // Same MCP token fallback (and body.mcpAuth sign-in) as table-to-stickies-mcp.js.
+  const MIRO_MCP_ACCESS_TOKEN = (process.env.MIRO_MCP_ACCESS_TOKEN || "").trim();
+  const MCP_TOKEN = MIRO_MCP_ACCESS_TOKEN || MIRO_ACCESS_TOKEN;
+
+  const body = await readJson(req).catch(() => null);
+  if (!body) {
+    res.status(400).send("Invalid JSON body.");
+    return;
+  }
+
+  const { boardId, frameId, tableItemId } = body;
+  if (!boardId || !frameId) {
+    res.status(400).send("boardId or frameId missing.");
+    return;
+  }
+
+  const mode = typeof body.mode === "string" && body.mode ? body.mode : "auto";
+  if (!VOTE_MODES.includes(mode)) {
+    res.status(400).send(`Unknown mode "${mode}". Use ${VOTE_MODES.join(", ")}.`);
+    return;
+  }
+
+  let weight;
+  try {
+    weight = parseWeightOptions(body.weight);
+  } catch (e) {
+    res.status(400).send(e && e.message ? e.message : String(e));
+    return;
+  }
+
+  const addMissing = body.addMissing !== false;
+  const dryRun = body.dryRun === true;
+
+  let mcpAuth;
+  try {
+    mcpAuth = await resolveMcpToken(body.mcpAuth, MCP_TOKEN);
+  } catch (e) {
+    res.status(e && e.status ? e.status : 401).json({ error: e && e.message ? e.message : String(e), signInUrl: "/api/mcp-oauth-start" });
+    return;
+  }
+
+  let mcp = null;
+  try {
+    // 1) Read the voting frame via REST: stickies, dot stickers and vote tags
+    const stickies = await loadStickiesInFrame(boardId, MIRO_ACCESS_TOKEN, frameId);
+    const shapes = await listBoardItems(boardId, MIRO_ACCESS_TOKEN, { parent_item_id: String(frameId), type: "shape" });
+    const tagVotes = await loadTagVotes(boardId, MIRO_ACCESS_TOKEN, new Set(stickies.map((s) => String(s.id))));
+    const dotVotes = assignDotVotes(stickies, shapes);
+
+    const ballots = [];
+    let skippedCount = 0;
+    const markerCounts = { text: 0, tags: 0, dots: 0 };
+
+    for (const s of stickies) {
+      const id = String(s.id);
+      const parsed = parseVoteMarkers(stickyHtmlToText(s && s.data ? s.data.content : ""));
+      const lines = parsed.text.split("\n").filter(Boolean);
+      if (!lines.length) {
+        skippedCount++;
+        continue;
+      }
+      const markers = {
+        text: parsed.votes,
+        tags: tagVotes.get(id) || 0,
+        dots: dotVotes.get(id) || 0
+      };
+      markerCounts.text += markers.text;
+      markerCounts.tags += markers.tags;
+      markerCounts.dots += markers.dots;
+      ballots.push({ stickyId: id, criterion: lines[0], definition: lines.slice(1).join("\n"), markers });
+    }
+
+    if (!ballots.length) {
+      res.status(400).json({ error: "No non-empty sticky notes found in the frame.", stickyCount: stickies.length, mcpAuth: mcpAuth.refreshed || undefined });
+      return;
+    }
+
+    const markerTotal = markerCounts.text + markerCounts.tags + markerCounts.dots;
+    const effectiveMode = mode === "auto" ? (markerTotal > 0 ? "markers" : "groups") : mode;
+    if (effectiveMode === "markers" && markerTotal === 0) {
+      res.status(400).json({
+        error: "No vote markers (dots, \"+N\", vote tags or dot stickers) found in the frame.",
+        stickyCount: stickies.length,
+        mcpAuth: mcpAuth.refreshed || undefined
+      });
+      return;
+    }
+
+    // 2) Read the target table via MCP
+    const targetTableId = tableItemId ? String(tableItemId) : await findTableByTitle(boardId, MIRO_ACCESS_TOKEN, DEFAULT_TABLE_TITLE);
+    if (!targetTableId) {
+      sendMcpError(res, 400, `tableItemId missing and no table named "${DEFAULT_TABLE_TITLE}" on the board.`, mcpAuth);
+      return;
+    }
+
+    mcp = await mcpStartSession(mcpAuth.token);
+    const tools = await mcpListTools(mcp);
+    const listTool = findTool(tools, ["table_list_rows"]);
+    if (!listTool) {
+      res.status(501).json({ error: "MCP server exposes no table_list_rows tool.", mcpAuth: mcpAuth.refreshed || undefined });
+      return;
+    }
+
+    const table = await mcpListAllTableRows(mcp, listTool.inputSchema || null, boardId, targetTableId);
+    const columns = table.columns;
+    const col = {
+      id: findColumn(columns, "ID"),
+      criterion: findColumn(columns, "Criterion"),
+      definition: findColumn(columns, "Definition"),
+      weight: findColumn(columns, "weight")
+    };
+    if (!col.weight) {
+      res.status(400).json({ error: "The table has no weight column.", available: columns.map((c) => c.title), mcpAuth: mcpAuth.refreshed || undefined });
+      return;
+    }
+    const colIndex = (c) => (c ? columns.indexOf(c) : -1);
+
+    // 3) Count votes per criterion (table row or new criterion)
+    const matchRow = buildRowMatcher(table.rows, colIndex(col.id), colIndex(col.criterion));
+    const rowVotes = new Array(table.rows.length).fill(0);
+    const rowStickies = table.rows.map(() => []);
+    const newCriteria = new Map();
+
+    for (const b of ballots) {
+      const votes = effectiveMode === "markers" ? b.markers.text + b.markers.tags + b.markers.dots : 1;
+      const r = matchRow(b.criterion);
+      if (r !== null) {
+        rowVotes[r] += votes;
+        rowStickies[r].push(b.stickyId);
+        continue;
+      }
+      const key = looseKey(b.criterion);
+      if (!newCriteria.has(key)) {
+        newCriteria.set(key, { criterion: b.criterion, definition: b.definition, votes: 0, stickyIds: [] });
+      }
+      const entry = newCriteria.get(key);
+      entry.votes += votes;
+      entry.stickyIds.push(b.stickyId);
+    }
+
+    const created = addMissing ? [...newCriteria.values()] : [];
+    const unmatched = addMissing ? [] : [...newCriteria.values()];
+
+    // 4) Normalize: the whole weight column follows from the votes, so reruns give the same table.
+    const weights = computeWeights(rowVotes.concat(created.map((c) => c.votes)), weight);
+    const newIds = nextRowIds(table.rows.map((row) => (colIndex(col.id) >= 0 ? row[colIndex(col.id)] : "")), created.length);
+
+    const criteria = [];
+    const updates = [];
+    table.rows.forEach((row, r) => {
+      const previousWeight = String(row[colIndex(col.weight)] || "").trim();
+      const changed = previousWeight !== weights[r];
+      criteria.push({
+        row: r + 1,
+        id: colIndex(col.id) >= 0 ? row[colIndex(col.id)] : "",
+        criterion: colIndex(col.criterion) >= 0 ? row[colIndex(col.criterion)] : "",
+        votes: rowVotes[r],
+        weight: weights[r],
+        previousWeight,
+        action: changed ? "update" : "unchanged",
+        stickyIds: rowStickies[r]
+      });
+      if (changed) {
+        const record = {};
+        columns.forEach((c, i) => {
+          record[c.id] = c === col.weight ? weights[r] : row[i];
+        });
+        updates.push({ rowId: table.rowIds[r] || null, record });
+      }
+    });
+
+    const creates = created.map((c, i) => {
+      const record = {};
+      if (col.id) record[col.id.id] = newIds[i];
+      if (col.criterion) record[col.criterion.id] = c.criterion;
+      if (col.definition) record[col.definition.id] = c.definition;
+      record[col.weight.id] = weights[table.rows.length + i];
+      criteria.push({
+        row: null,
+        id: col.id ? newIds[i] : "",
+        criterion: c.criterion,
+        votes: c.votes,
+        weight: weights[table.rows.length + i],
+        previousWeight: null,
+        action: "create",
+        stickyIds: c.stickyIds
+      });
+      return record;
+    });
+
+    const report = {
+      ok: true,
+      boardId,
+      frameId: String(frameId),
+      tableItemId: targetTableId,
+      mode: effectiveMode,
+      weight,
+      stickyCount: stickies.length,
+      skippedCount,
+      voteCount: criteria.reduce((sum, c) => sum + c.votes, 0) + unmatched.reduce((sum, c) => sum + c.votes, 0),
+      markerCounts: effectiveMode === "markers" ? markerCounts : undefined,
+      criteria,
+      unmatched
+    };
+
+    if (dryRun) {
+      res.status(200).json(Object.assign(report, {
+        dryRun: true,
+        rowsUpdated: 0,
+        rowsCreated: 0,
+        mcpAuth: mcpAuth.refreshed || undefined
+      }));
+      return;
+    }
+
+    // 5) Write via MCP: update changed rows in place, then append new criteria.
+    // Both tools are checked first, so a missing one does not leave the table half written.
+    const updateTool = updates.length ? findTool(tools, UPDATE_ROWS_TOOLS) : null;
+    const updateSchema = updateTool ? updateTool.inputSchema || null : null;
+    const updateRowsKey = pickRowsKey(updateSchema);
+    const updateItemSchema = rowsSchemaItem(updateSchema, updateRowsKey);
+    const writeTool = creates.length ? findTool(tools, WRITE_ROWS_TOOLS) : null;
+
+    if (updates.length) {
+      const missingIds = updates.filter((u) => !u.rowId).length;
+      if (!updateTool || missingIds || (updateItemSchema && updateItemSchema.type === "array")) {
+        res.status(501).json({
+          error: !updateTool
+            ? "MCP server exposes no tool to update table rows."
+            : "Table rows cannot be updated in place (the MCP table tools return no row ids).",
+          tried: UPDATE_ROWS_TOOLS,
+          available: tools.map((t) => t && t.name).filter(Boolean),
+          criteria,
+          mcpAuth: mcpAuth.refreshed || undefined
+        });
+        return;
+      }
+    }
+    if (creates.length && !writeTool) {
+      res.status(501).json({
+        error: "MCP server exposes no tool to write table rows.",
+        tried: WRITE_ROWS_TOOLS,
+        available: tools.map((t) => t && t.name).filter(Boolean),
+        criteria,
+        mcpAuth: mcpAuth.refreshed || undefined
+      });
+      return;
+    }
+
+    if (updates.length) {
+      const rowIdKey = pickRowIdKey(updateItemSchema);
+      for (let i = 0; i < updates.length; i += ROWS_PER_WRITE) {
+        const batch = updates.slice(i, i + ROWS_PER_WRITE);
+        const args = buildTableToolArgs(updateSchema, boardId, targetTableId);
+        args[updateRowsKey] = denormalizeRows(batch.map((u) => u.record), columns, updateItemSchema)
+          .map((row, j) => Object.assign({ [rowIdKey]: batch[j].rowId }, row));
+        extractToolPayload(await mcpCallTool(mcp, updateTool.name, args));
+      }
+    }
+
+    if (creates.length) {
+      const writeSchema = writeTool.inputSchema || null;
+      const rowsKey = pickRowsKey(writeSchema);
+      const rowItemSchema = rowsSchemaItem(writeSchema, rowsKey);
+      for (let i = 0; i < creates.length; i += ROWS_PER_WRITE) {
+        const args = buildTableToolArgs(writeSchema, boardId, targetTableId);
+        args[rowsKey] = denormalizeRows(creates.slice(i, i + ROWS_PER_WRITE), columns, rowItemSchema);
+        extractToolPayload(await mcpCallTool(mcp, writeTool.name, args));
+      }
+    }
+
+    res.status(200).json(Object.assign(report, {
+      rowsUpdated: updates.length,
+      rowsCreated: creates.length,
+      mcpAuth: mcpAuth.refreshed || undefined
+    }));
+  } catch (e) {
+    sendMcpError(res, 500, e && e.message ? e.message : String(e), mcpAuth);
+  } finally {
+    await mcpCloseSession(mcp);
+  }
+}
+
+// --------------------
+// Vote markers
+// --------------------
+
+// Strips vote markers from the sticky text and counts them.
+function parseVoteMarkers(text) {
+  let votes = 0;
+  const lines = String(text || "")
+    .replace(VOTE_DOT_RE, () => {
+      votes++;
+      return "";
+    })
+    .split("\n").map((l) => l.replace(/\s+/g, " ").trim()).filter(Boolean);
+
+  const kept = [];
+  lines.forEach((line, i) => {
+    const { count, rest } = trailingVoteCount(line);
+    if (count && (!rest || i === lines.length - 1)) {
+      votes += count;
+      if (rest) kept.push(rest);
+    } else {
+      kept.push(line);
+    }
+  });
+
+  return { votes, text: kept.join("\n") };
+}
+
+// Count markers at the end of a line ("Idea +1 +1" → 2); rest is the text before them.
+function trailingVoteCount(line) {
+  let count = 0;
+  let rest = line;
+  for (;;) {
+    const m = rest.match(VOTE_PLUS_RE) || rest.match(VOTE_COUNT_RE);
+    if (!m) break;
+    count += Number(m[2] || m[3]);
+    rest = rest.slice(0, m.index).trim();
+  }
+  return { count, rest };
+}
+
+// "vote", "dot", "+1" → 1; "+3", "votes: 3", "3 votes" → 3; other tags → 0.
+function tagVoteValue(title) {
+  const t = String(title || "").trim().toLowerCase();
+  if (/^(?:votes?|dots?|\+1)$/.test(t)) return 1;
+  const m = t.match(/^\+(\d+)$/) || t.match(/^(?:votes?|dots?)\s*[:=]?\s*(\d+)$/) || t.match(/^(\d+)\s*(?:votes?|dots?)$/);
+  return m ? Number(m[1]) : 0;
+}
+
+// Vote tags per sticky id (only stickies of the voting frame).
+async function loadTagVotes(boardId, token, stickyIds) {
+  const votes = new Map();
+  const tags = [];
+
+  // Board tags are offset-paginated.
+  for (let offset = 0, i = 0; i < 20; i++) {
+    const url = new URL(`https://api.miro.com/v2/boards/${encodeURIComponent(boardId)}/tags`);
+    url.searchParams.set("limit", "50");
+    url.searchParams.set("offset", String(offset));
+
+    const page = await miroGetJson(url.toString(), token);
+    const data = page && Array.isArray(page.data) ? page.data : [];
+    for (const t of data) {
+      if (t && t.id && tagVoteValue(t.title) > 0) tags.push(t);
+    }
+    if (data.length < 50) break;
+    offset += data.length;
+  }
+
+  for (const tag of tags) {
+    const items = await listBoardItems(boardId, token, { tag_id: String(tag.id) });
+    for (const it of items) {
+      const id = String(it.id);
+      if (stickyIds.has(id)) votes.set(id, (votes.get(id) || 0) + tagVoteValue(tag.title));
+    }
+  }
+  return votes;
+}
+
+// Each small circle counts for the sticky whose centre is nearest among those it lies on.
+function assignDotVotes(stickies, shapes) {
+  const votes = new Map();
+  const boxes = stickies.map((s) => {
+    const x = s.position && typeof s.position.x === "number" ? s.position.x : 0;
+    const y = s.position && typeof s.position.y === "number" ? s.position.y : 0;
+    const w = s.geometry && typeof s.geometry.width === "number" ? s.geometry.width : 0;
+    const h = s.geometry && typeof s.geometry.height === "number" ? s.geometry.height : w;
+    return { id: String(s.id), x, y, w, h };
+  });
+
+  for (const shape of shapes) {
+    if (!shape || !shape.data || String(shape.data.shape || "") !== "circle") continue;
+    const w = shape.geometry && typeof shape.geometry.width === "number" ? shape.geometry.width : 0;
+    const h = shape.geometry && typeof shape.geometry.height === "number" ? shape.geometry.height : w;
+    if (!w || Math.max(w, h) > VOTE_DOT_MAX_SIZE) continue;
+
+    const x = shape.position && typeof shape.position.x === "number" ? shape.position.x : 0;
+    const y = shape.position && typeof shape.position.y === "number" ? shape.position.y : 0;
+
+    let best = null;
+    let bestDist = Infinity;
+    for (const b of boxes) {
+      if (Math.abs(x - b.x) > b.w / 2 || Math.abs(y - b.y) > b.h / 2) continue;
+      const dist = Math.hypot(x - b.x, y - b.y);
+      if (dist < bestDist) {
+        best = b;
+        bestDist = dist;
+      }
+    }
+    if (best) votes.set(best.id, (votes.get(best.id) || 0) + 1);
+  }
+  return votes;
+}
+
+// --------------------
+// Criteria matching and weights
+// --------------------
+
+// Sticky first line → table row index, by ID, by Criterion, or "ID: text".
+function buildRowMatcher(rows, idCol, criterionCol) {
+  const byId = new Map();
+  const byCriterion = new Map();
+  rows.forEach((row, r) => {
+    const id = idCol >= 0 ? looseKey(row[idCol]) : "";
+    const criterion = criterionCol >= 0 ? looseKey(row[criterionCol]) : "";
+    if (id && !byId.has(id)) byId.set(id, r);
+    if (criterion && !byCriterion.has(criterion)) byCriterion.set(criterion, r);
+  });
+
+  return (line) => {
+    const key = looseKey(line);
+    if (byId.has(key)) return byId.get(key);
+    if (byCriterion.has(key)) return byCriterion.get(key);
+
+    const m = String(line).match(/^\s*([^\s:–—-]+)\s*[:–—-]\s*(.+)$/);
+    if (m) {
+      if (byId.has(looseKey(m[1]))) return byId.get(looseKey(m[1]));
+      if (byCriterion.has(looseKey(m[2]))) return byCriterion.get(looseKey(m[2]));
+    }
+    return null;
+  };
+}
+
+function parseWeightOptions(raw) {
+  if (typeof raw === "undefined" || raw === null) return Object.assign({}, DEFAULT_WEIGHT);
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("weight must be an object like { \"method\": \"sum\", \"scale\": 100, \"decimals\": 0 }.");
+  }
+
+  const method = typeof raw.method === "string" && raw.method ? raw.method : DEFAULT_WEIGHT.method;
+  if (!WEIGHT_METHODS.includes(method)) {
+    throw new Error(`Unknown weight method "${method}". Use ${WEIGHT_METHODS.join(", ")}.`);
+  }
+
+  const scale = typeof raw.scale === "undefined" ? DEFAULT_WEIGHT.scale : Number(raw.scale);
+  if (!Number.isFinite(scale) || scale <= 0) throw new Error("weight.scale must be a positive number.");
+
+  const decimals = typeof raw.decimals === "undefined" ? DEFAULT_WEIGHT.decimals : Number(raw.decimals);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 4) throw new Error("weight.decimals must be an integer from 0 to 4.");
+
+  return { method, scale, decimals };
+}
+
+// sum: shares of `scale`, rounded with largest remainders so they add up exactly (ties: table order).
+// max: the top criterion gets `scale`. raw: the vote count.
+function computeWeights(votes, { method, scale, decimals }) {
+  if (method === "raw") return votes.map((v) => String(v));
+
+  const unit = 10 ** decimals;
+  const format = (units) => (units / unit).toFixed(decimals);
+
+  if (method === "max") {
+    const max = Math.max(0, ...votes);
+    return votes.map((v) => format(max ? Math.round((v / max) * scale * unit) : 0));
+  }
+
+  const total = votes.reduce((sum, v) => sum + v, 0);
+  if (!total) return votes.map(() => format(0));
+
+  const quotas = votes.map((v) => (v / total) * scale * unit);
+  const units = quotas.map((q) => Math.floor(q));
+  let left = Math.round(scale * unit) - units.reduce((sum, u) => sum + u, 0);
+
+  const order = quotas
+    .map((q, i) => ({ i, frac: q - Math.floor(q) }))
+    .sort((a, b) => (b.frac - a.frac) || (a.i - b.i));
+  for (let k = 0; left > 0 && k < order.length; k++, left--) units[order[k].i]++;
+
+  return units.map(format);
+}
+
+// Continues the table's ID scheme ("C7" → "C8") for new criteria.
+function nextRowIds(existingIds, count) {
+  let prefix = "";
+  let max = 0;
+  let width = 0;
+  for (const id of existingIds) {
+    const m = String(id || "").trim().match(/^(.*?)(\d+)$/);
+    if (!m || Number(m[2]) < max) continue;
+    prefix = m[1];
+    max = Number(m[2]);
+    width = m[2].length;
+  }
+
+  const out = [];
+  for (let i = 1; i <= count; i++) out.push(prefix + String(max + i).padStart(width, "0"));
+  return out;
+}
+
+// --------------------
+// Helpers
+// --------------------
+
+function pickRowIdKey(rowItemSchema) {
+  const props = (rowItemSchema && rowItemSchema.properties && typeof rowItemSchema.properties === "object")
+    ? Object.keys(rowItemSchema.properties)
+    : [];
+  for (const k of ["id", "row_id", "rowId"]) {
+    if (props.includes(k)) return k;
+  }
+  return "id";
+}
+
+async function findTableByTitle(boardId, token, title) {
+  const items = await listBoardItems(boardId, token, {});
+  const wanted = title.trim().toLowerCase();
+  const table = items.find((it) => /table/i.test(String(it.type || "")) &&
+    extractItemTitle(it).trim().toLowerCase() === wanted);
+  return table ? String(table.id) : null;
+}